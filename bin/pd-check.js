@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// Command-line public domain check built on the same modules as the web app.
+//   pd-check "Moby Dick" --author Melville --json
+//   pd-check < titles.txt
+// Only a Public Domain verdict passes: see exitCodes for the exit statuses.
+import fs from 'fs';
+import { bookAPI } from '../scripts/api.js';
+import { relevanceRanker } from '../scripts/ranking.js';
+import { renewalRecords } from '../scripts/renewals.js';
+import { verdictEngine } from '../scripts/verdict.js';
+import { yearRules } from '../scripts/years.js';
+
+const usage = `Usage: pd-check [title] [--author <name>] [--json]
+
+Checks whether a book is in the US public domain. With no title, reads one
+title per line from standard input.
+
+Options:
+  --author <name>  Prefer results by this author
+  --json           Print results as JSON
+  --help           Show this message
+
+Exit status:
+  0  Every title is in the public domain
+  1  A title is not cleared: Copyrighted, Likely Copyrighted, Possibly
+     Copyrighted (renewal unknown) or Unknown
+  2  Usage error
+  3  A title could not be checked: no matching book was found, or the
+     sources could not be reached (takes precedence over 1)`;
+
+const exitCodes = { cleared: 0, notCleared: 1, usage: 2, unchecked: 3 };
+
+function parseArgs(args) {
+    const options = { titles: [], author: null, json: false, help: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--author') {
+            options.author = args[++i];
+            if (!options.author) {
+                throw new Error('--author needs a name');
+            }
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.titles.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// Read a JSON file bundled in data/
+function readData(name) {
+    return JSON.parse(fs.readFileSync(new URL(`../data/${name}`, import.meta.url), 'utf8'));
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { text += chunk; });
+        process.stdin.on('end', () => resolve(text));
+        process.stdin.on('error', reject);
+    });
+}
+
+// Search every source and check the best match for the title (and author, if given)
+async function checkTitle(title, author) {
+    const filters = author ? { author } : {};
+    let result;
+    try {
+        result = await bookAPI.searchBooks(title, 10, { filters });
+    } catch (error) {
+        return { query: title, author, found: false, reason: 'unavailable', unavailable: ['search'], status: null };
+    }
+
+    const [book] = relevanceRanker.rank(result.books, author ? `${title} ${author}` : title);
+    const unavailable = result.sources.filter(source => source.status !== 'ok').map(source => source.displayName);
+
+    if (!book) {
+        // With no results, a failed source may have held the match
+        const reason = unavailable.length > 0 ? 'unavailable' : 'not_found';
+        return { query: title, author, found: false, reason, unavailable, status: null };
+    }
+
+    let rights = null;
+    try {
+        rights = await bookAPI.getRightsDetermination(book);
+    } catch (error) {
+        unavailable.push('HathiTrust rights');
+    }
+
+    const verdict = verdictEngine.analyze({ ...book, rights });
+
+    return {
+        query: title,
+        author,
+        found: true,
+        unavailable,
+        book: {
+            id: book.id,
+            title: book.title,
+            authors: book.authors,
+            publishYear: book.publishYear ?? null,
+            source: verdictEngine.getSourceDisplay(book.source)
+        },
+        status: verdict.status,
+        explanation: verdict.explanation,
+        trace: verdict.trace
+    };
+}
+
+function formatResult(result) {
+    const note = result.unavailable.length > 0 ? ` (${result.unavailable.join(', ')} unavailable)` : '';
+
+    if (!result.found) {
+        return result.reason === 'unavailable'
+            ? `${result.query}: could not be checked${note}`
+            : `${result.query}: no matching book found`;
+    }
+
+    const authors = result.book.authors.map(author => author.name).join(', ') || 'Unknown author';
+    const year = result.book.publishYear ? `, ${result.book.publishYear}` : '';
+
+    return `${result.book.title} (${authors}${year}): ${result.status}${note}\n  ${result.explanation}`;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage}`);
+        return exitCodes.usage;
+    }
+
+    if (options.help) {
+        console.log(usage);
+        return exitCodes.cleared;
+    }
+
+    const titles = options.titles.length > 0
+        ? [options.titles.join(' ')]
+        : (await readStdin()).split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (titles.length === 0) {
+        console.error(usage);
+        return exitCodes.usage;
+    }
+
+    renewalRecords.loadDataset(readData('renewals.json'));
+    yearRules.loadOverrides(readData('year-overrides.json'));
+
+    // The offline catalog is fetched relative to the web page, so the CLI searches online only
+    bookAPI.fallbackSource = null;
+
+    const results = [];
+    for (const title of titles) {
+        const result = await checkTitle(title, options.author);
+        results.push(result);
+
+        if (!options.json) {
+            console.log(formatResult(result));
+        }
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(titles.length === 1 ? results[0] : results, null, 2));
+    }
+
+    if (results.some(result => !result.found)) {
+        return exitCodes.unchecked;
+    }
+
+    return results.every(result => result.status === 'Public Domain') ? exitCodes.cleared : exitCodes.notCleared;
+}
+
+process.exitCode = await main();
@@ -1,329 +1,330 @@
+import { GutenbergSource, GutenbergCatalogSource, OpenLibrarySource, HathiTrustSource } from './sources.js';
+import { PersistentCache } from './cache.js';
+import { workMerger } from './merge.js';
+import { yearRules } from './years.js';
+
 // API service layer for book data
-class BookAPI {
-    constructor() {
-        this.cache = new Map();
-        this.currentController = null;
+export class BookAPI {
+    // sources: adapters to register, in default order
+    // disabled: names of registered sources to skip when searching
+    // order: source names in the order their results should be merged
+    // cache: any store with the PersistentCache get/set/clear interface
+    // fallback: a local source searched when every remote source fails, or null
+    constructor({
+        sources = [new GutenbergSource(), new OpenLibrarySource(), new HathiTrustSource()],
+        disabled = [],
+        order = null,
+        cache = new PersistentCache(),
+        fallback = new GutenbergCatalogSource()
+    } = {}) {
+        this.cache = cache;
+        this.fallbackSource = fallback;
+        this.ttl = {
+            search: 60 * 60 * 1000,            // 1 hour, then served stale while revalidating
+            details: 7 * 24 * 60 * 60 * 1000,  // 1 week
+            editions: 7 * 24 * 60 * 60 * 1000,
+            rights: 30 * 24 * 60 * 60 * 1000   // Rights determinations rarely change
+        };
+        this.sources = new Map();
+        this.disabledSources = new Set(disabled);
+        this.sourceOrder = order;
+
+        sources.forEach(source => this.registerSource(source));
+    }
+
+    // Register a source adapter; a source with the same name is replaced
+    registerSource(source) {
+        this.sources.set(source.name, source);
+    }
+
+    getSource(name) {
+        return this.sources.get(name) || null;
     }
 
-    // Search for books using multiple sources with data validation
-    async searchBooks(query, limit = 10) {
-        // Cancel previous request if still pending
-        if (this.currentController) {
-            this.currentController.abort();
+    // The registered source that owns a normalized book id
+    getSourceForId(bookId) {
+        const source = [...this.sources.values()].find(candidate => candidate.ownsId(bookId));
+        if (!source) {
+            throw new Error(`No source registered for book id: ${bookId}`);
         }
+        return source;
+    }
 
-        // Create new abort controller for this request
-        this.currentController = new AbortController();
+    // Public web page for a book id, or null when no registered source owns it
+    getRecordUrl(bookId) {
+        const source = [...this.sources.values()].find(candidate => candidate.ownsId(bookId));
+        return source ? source.getRecordUrl(bookId) : null;
+    }
 
-        // Check cache first
-        const cacheKey = `search_${query}_${limit}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+    setSourceEnabled(name, enabled) {
+        if (enabled) {
+            this.disabledSources.delete(name);
+        } else {
+            this.disabledSources.add(name);
         }
+        this.clearCache();
+    }
 
-        try {
-            // Search multiple sources and combine results
-            const [gutenbergResults, openLibraryResults] = await Promise.allSettled([
-                this.searchProjectGutenberg(query),
-                this.searchOpenLibraryFiltered(query, limit)
-            ]);
+    // Enabled sources in merge order; sources missing from the configured order go last
+    getActiveSources() {
+        const sources = [...this.sources.values()].filter(source => !this.disabledSources.has(source.name));
 
-            let books = [];
+        if (!this.sourceOrder) {
+            return sources;
+        }
 
-            // Add Project Gutenberg results first (they're most reliable)
-            if (gutenbergResults.status === 'fulfilled') {
-                books.push(...gutenbergResults.value);
-            }
+        const rank = name => {
+            const index = this.sourceOrder.indexOf(name);
+            return index === -1 ? this.sourceOrder.length : index;
+        };
+        return sources.sort((a, b) => rank(a.name) - rank(b.name));
+    }
 
-            // Add filtered Open Library results
-            if (openLibraryResults.status === 'fulfilled') {
-                books.push(...openLibraryResults.value);
+    // Search for books using multiple sources with data validation.
+    // Each operation takes its own AbortSignal; a cancelled search rejects with an
+    // AbortError rather than resolving with partial or empty results, and writes nothing to the cache.
+    // filters narrow results by field; see SourceAdapter.search for the supported keys.
+    // Resolves to { books, sources, usedFallback }. sources holds each source's status
+    // ('ok', 'timeout' or 'error', with a message) so callers can flag partial results.
+    async searchBooks(query, limit = 10, { signal = null, filters = {} } = {}) {
+        // Check cache first; stale results are served immediately and refreshed in the background.
+        // Only complete results are cached, so every source is reported as ok.
+        const cacheKey = `search_${query}_${limit}_${JSON.stringify(filters)}`;
+        const cached = await this.cache.get(cacheKey);
+        this.throwIfAborted(signal);
+        if (cached) {
+            if (cached.stale) {
+                this.revalidateSearch(query, limit, filters, cacheKey);
             }
+            return {
+                books: cached.value,
+                sources: this.getActiveSources().map(source => this.getSourceStatus(source, null)),
+                usedFallback: false
+            };
+        }
 
-            // Remove duplicates and limit results
-            books = this.deduplicateBooks(books).slice(0, limit);
+        try {
+            const result = await this.fetchSearchResults(query, limit, signal, filters);
 
-            // Cache the results
-            this.cache.set(cacheKey, books);
+            if (this.isComplete(result)) {
+                await this.cache.set(cacheKey, result.books, this.ttl.search);
+            }
             
-            return books;
+            return result;
         } catch (error) {
-            if (error.name === 'AbortError') {
-                console.log('Search request was cancelled');
-                return [];
+            if (error.name !== 'AbortError') {
+                console.error('Error searching books:', this.describeError(error));
             }
-            console.error('Error searching books:', error);
             throw error;
         }
     }
 
-    // Search Project Gutenberg (most reliable for public domain books)
-    async searchProjectGutenberg(query) {
-        try {
-            // Project Gutenberg search endpoint
-            const url = `https://gutendex.com/books/?search=${encodeURIComponent(query)}`;
-            
-            const response = await fetch(url, {
-                signal: this.currentController.signal
-            });
-
-            if (!response.ok) {
-                throw new Error(`Gutenberg API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return this.processGutenbergResults(data);
-        } catch (error) {
-            console.warn('Project Gutenberg search failed:', error);
-            return [];
+    throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw new DOMException('The operation was cancelled', 'AbortError');
         }
     }
 
-    // Search Open Library with better filtering
-    async searchOpenLibraryFiltered(query, limit) {
-        try {
-            const url = `https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=${limit * 2}&fields=key,title,author_name,first_publish_year,publish_year,publish_date,subject`;
-            
-            const response = await fetch(url, {
-                signal: this.currentController.signal
-            });
+    // Search every active source and combine results in source order.
+    // When sources fail and nothing was found, the local catalog is searched instead.
+    async fetchSearchResults(query, limit, signal, filters = {}) {
+        const sources = this.getActiveSources();
+        const results = await Promise.allSettled(
+            sources.map(source => this.searchSource(source, query, limit, signal, filters))
+        );
+
+        this.throwIfAborted(signal);
 
-            if (!response.ok) {
-                throw new Error(`Open Library API error: ${response.status}`);
+        const books = [];
+        const statuses = results.map((result, index) => {
+            if (result.status === 'fulfilled') {
+                books.push(...result.value);
+                return this.getSourceStatus(sources[index], null);
             }
 
-            const data = await response.json();
-            return this.processOpenLibraryResultsFiltered(data);
-        } catch (error) {
-            console.warn('Open Library search failed:', error);
-            return [];
-        }
-    }
+            console.warn(`${sources[index].displayName} search failed:`, this.describeError(result.reason));
+            return this.getSourceStatus(sources[index], result.reason);
+        });
 
-    // Process Project Gutenberg results (most reliable)
-    processGutenbergResults(data) {
-        console.log({data});
-        if (!data.results || !Array.isArray(data.results)) {
-            return [];
+        if (books.length === 0 && statuses.some(status => status.status !== 'ok')) {
+            const fallbackBooks = await this.searchFallback(query, limit, filters);
+            this.throwIfAborted(signal);
+            if (fallbackBooks) {
+                return { books: fallbackBooks, sources: statuses, usedFallback: true };
+            }
         }
 
-        return data.results.map(book => ({
-            id: `gutenberg_${book.id}`,
-            title: book.title || 'Unknown Title',
-            authors: book.authors?.map(author => author.name) || ['Unknown Author'],
-            publishYear: this.extractYearFromGutenberg(book),
-            source: 'gutenberg',
-            reliability: 'high', // Gutenberg data is very reliable
-            isPublicDomain: true // All Gutenberg books are public domain
-        }));
+        // Remove duplicates and limit results
+        return { books: this.reviewYears(this.deduplicateBooks(books)).slice(0, limit), sources: statuses, usedFallback: false };
     }
 
-    // Extract publication year from Gutenberg data
-    extractYearFromGutenberg(book) {
-        // Gutenberg doesn't always have exact publication dates, but we can infer
-        // from death dates and other metadata
-        if (book.authors && book.authors.length > 0) {
-            const author = book.authors[0];
-            if (author.death_year) {
-                // If author died before 1929, the book is definitely public domain
-                // We can estimate publication year as before death year
-                return author.death_year < 1929 ? author.death_year - 10 : null;
-            }
+    // Describe how a source's search went; error is null on success
+    getSourceStatus(source, error) {
+        if (!error) {
+            return { name: source.name, displayName: source.displayName, status: 'ok', message: null };
         }
-        
-        // For now, return null - we know it's public domain from Gutenberg
-        return null;
+
+        return {
+            name: source.name,
+            displayName: source.displayName,
+            status: error.kind === 'timeout' ? 'timeout' : 'error',
+            message: error.message
+        };
     }
 
-    // Process Open Library results with better filtering
-    processOpenLibraryResultsFiltered(data) {
-        if (!data.docs || !Array.isArray(data.docs)) {
-            return [];
-        }
+    // Network and HTTP failures are expected and reported through source statuses, so they
+    // are logged by message alone; anything else keeps its stack trace
+    describeError(error) {
+        return error?.name === 'HttpError' ? error.message : error;
+    }
 
-        return data.docs
-            .map(book => ({
-                id: book.key,
-                title: book.title || 'Unknown Title',
-                authors: book.author_name || ['Unknown Author'],
-                publishYear: this.getValidatedYear(book),
-                source: 'openlibrary',
-                reliability: this.assessDataReliability(book),
-                rawData: book // Keep for debugging
-            }))
-            .filter(book => book.reliability !== 'invalid') // Filter out obviously bad data
-            .sort((a, b) => {
-                // Sort by reliability, then by title match
-                if (a.reliability !== b.reliability) {
-                    const reliabilityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
-                    return reliabilityOrder[b.reliability] - reliabilityOrder[a.reliability];
-                }
-                return 0;
-            });
+    // Whether every source answered, so the results are worth caching
+    isComplete(result) {
+        return !result.usedFallback && result.sources.every(source => source.status === 'ok');
     }
 
-    // Get validated publication year with data quality checks
-    getValidatedYear(book) {
-        const firstYear = book.first_publish_year;
-        const publishYears = book.publish_year;
-        
-        let candidates = [];
-        
-        if (firstYear && this.isValidYear(firstYear)) {
-            candidates.push(firstYear);
-        }
-        
-        if (publishYears && Array.isArray(publishYears)) {
-            const validYears = publishYears.filter(year => this.isValidYear(year));
-            candidates.push(...validYears);
+    // Search the local catalog, or return null if it is unavailable
+    async searchFallback(query, limit, filters) {
+        if (!this.fallbackSource) {
+            return null;
         }
-        
-        if (candidates.length === 0) {
+
+        try {
+            const books = await this.searchSource(this.fallbackSource, query, limit, null, filters);
+            return books.slice(0, limit);
+        } catch (error) {
+            console.warn(`${this.fallbackSource.displayName} unavailable:`, this.describeError(error));
             return null;
         }
-        
-        // Return the earliest valid year
-        const earliest = Math.min(...candidates);
-        
-        // Additional validation: if the earliest year seems wrong, try to correct it
-        return this.validateYearAgainstContext(earliest, book);
     }
 
-    // Check if a year seems valid
-    isValidYear(year) {
-        const currentYear = new Date().getFullYear();
-        
-        // Basic range check
-        if (!year || year < 1000 || year > currentYear) {
-            return false;
-        }
-        
-        // Flag obviously wrong dates
-        if (year < 1400) { // Before printing press
-            return false;
-        }
-        
-        return true;
+    // Fetch the next page from every active source that has more results.
+    // cursors maps source names to their next cursor (missing = first page, null = exhausted).
+    async searchPage(query, cursors = {}, { pageSize = 20, signal = null, filters = {} } = {}) {
+        const sources = this.getActiveSources().filter(source => cursors[source.name] !== null);
+        const results = await Promise.allSettled(sources.map(source =>
+            source.searchPage(query, { cursor: cursors[source.name] ?? null, limit: pageSize, signal, filters })
+        ));
+        this.throwIfAborted(signal);
+
+        const books = [];
+        const nextCursors = { ...cursors };
+
+        const statuses = results.map((result, index) => {
+            const source = sources[index];
+
+            if (result.status === 'fulfilled') {
+                books.push(...result.value.books);
+                nextCursors[source.name] = result.value.nextCursor;
+                return this.getSourceStatus(source, null);
+            }
+
+            console.warn(`${source.displayName} page failed:`, this.describeError(result.reason));
+            nextCursors[source.name] = null;
+            return this.getSourceStatus(source, result.reason);
+        });
+
+        return {
+            books: this.reviewYears(books),
+            sources: statuses,
+            cursors: nextCursors,
+            hasMore: Object.values(nextCursors).some(cursor => cursor !== null)
+        };
     }
 
-    // Validate year against book context and known issues
-    validateYearAgainstContext(year, book) {
-        const title = (book.title || '').toLowerCase();
-        const authors = book.author_name || [];
-        
-        // Known problematic patterns in Open Library data
-        const suspiciousPatterns = [
-            { pattern: /cthulhu|lovecraft/, minYear: 1890, maxYear: 1937 },
-            { pattern: /hardy|tess.*urbervilles/, minYear: 1840, maxYear: 1928 },
-            { pattern: /dickens/, minYear: 1812, maxYear: 1870 },
-            { pattern: /shakespeare/, minYear: 1564, maxYear: 1616 },
-            { pattern: /austen/, minYear: 1775, maxYear: 1817 }
-        ];
-        
-        for (const check of suspiciousPatterns) {
-            if (check.pattern.test(title) || authors.some(author => check.pattern.test(author.toLowerCase()))) {
-                if (year < check.minYear || year > check.maxYear) {
-                    console.warn(`Suspicious year ${year} for ${title} - likely data error`);
-                    return null; // Return null for obviously wrong dates
-                }
+    // Refresh a stale search entry without holding up the caller
+    async revalidateSearch(query, limit, filters, cacheKey) {
+        try {
+            const result = await this.fetchSearchResults(query, limit, new AbortController().signal, filters);
+            if (this.isComplete(result)) {
+                await this.cache.set(cacheKey, result.books, this.ttl.search);
             }
+        } catch (error) {
+            console.warn('Background refresh failed:', this.describeError(error));
         }
-        
-        return year;
     }
 
-    // Assess the reliability of Open Library data
-    assessDataReliability(book) {
-        let score = 0;
-        
-        // Check if title exists and seems reasonable
-        if (book.title && book.title.length > 1 && book.title !== 'Unknown Title') {
-            score += 2;
-        }
-        
-        // Check if authors exist
-        if (book.author_name && book.author_name.length > 0) {
-            score += 2;
-        }
-        
-        // Check if publication year seems valid
-        if (this.getValidatedYear(book)) {
-            score += 3;
-        }
-        
-        // Penalty for suspicious patterns
-        const title = (book.title || '').toLowerCase();
-        if (title.includes('unknown') || title.length < 3) {
-            score -= 2;
-        }
-        
-        // Return reliability category
-        if (score >= 5) return 'high';
-        if (score >= 3) return 'medium';
-        if (score >= 1) return 'low';
-        return 'invalid';
+    // Search a single source and normalize its results
+    async searchSource(source, query, limit, signal, filters = {}) {
+        const data = await source.search(query, { limit, signal, filters });
+        return source.normalize(data);
     }
 
-    // Remove duplicate books from combined results
+    // Merge records of the same work from different sources into single entries
     deduplicateBooks(books) {
-        const seen = new Map();
-        const result = [];
-        
-        for (const book of books) {
-            // Create a normalized key for comparison
-            const normalizedTitle = book.title.toLowerCase().replace(/[^\w\s]/g, '').trim();
-            const normalizedAuthor = book.authors[0]?.toLowerCase().replace(/[^\w\s]/g, '').trim() || '';
-            const key = `${normalizedTitle}_${normalizedAuthor}`;
-            
-            if (!seen.has(key)) {
-                seen.set(key, true);
-                result.push(book);
-            } else {
-                // If we have a duplicate, prefer the one with higher reliability
-                const existingIndex = result.findIndex(existing => {
-                    const existingKey = `${existing.title.toLowerCase().replace(/[^\w\s]/g, '').trim()}_${existing.authors[0]?.toLowerCase().replace(/[^\w\s]/g, '').trim() || ''}`;
-                    return existingKey === key;
-                });
-                
-                if (existingIndex >= 0 && book.reliability === 'high' && result[existingIndex].reliability !== 'high') {
-                    result[existingIndex] = book; // Replace with more reliable version
-                }
-            }
+        return workMerger.merge(books);
+    }
+
+    // Check publication years against the authors' lifespans once records are merged,
+    // so life dates from one source can rule out a year from another
+    reviewYears(books) {
+        return yearRules.reviewAll(books);
+    }
+
+    // Get the full record for a book from the source that owns its id
+    async getBookDetails(bookId, { signal = null } = {}) {
+        return this.cachedLookup(`details_${bookId}`, this.ttl.details, signal, 'book details',
+            () => this.getSourceForId(bookId).getDetails(bookId, signal));
+    }
+
+    // Restore a normalized book from its id, e.g. when opening a shared link
+    async lookupBook(bookId, { signal = null } = {}) {
+        return this.cachedLookup(`book_${bookId}`, this.ttl.details, signal, 'book',
+            async () => {
+                const book = await this.getSourceForId(bookId).lookup(bookId, signal);
+                return book && yearRules.review(book);
+            });
+    }
+
+    // Get the editions of an Open Library work, normalized and sorted oldest first
+    async getWorkEditions(workId, limit = 50, { signal = null } = {}) {
+        return this.cachedLookup(`editions_${workId}_${limit}`, this.ttl.editions, signal, 'editions',
+            () => this.getSource('openlibrary').getEditions(workId, limit, signal));
+    }
+
+    // Get the HathiTrust rights determination for a book's identifiers
+    async getRightsDetermination(book, { signal = null } = {}) {
+        const source = this.getSource('hathitrust');
+        if (!source || this.disabledSources.has(source.name) || !book.identifiers) {
+            return { status: 'not_found' };
         }
-        
-        return result;
+
+        return this.cachedLookup(`rights_${book.id}`, this.ttl.rights, signal, 'HathiTrust rights',
+            () => source.lookupRights(book.identifiers, signal));
     }
 
-    // Get detailed book information (for future expansion)
-    async getBookDetails(bookId) {
-        const cacheKey = `details_${bookId}`;
-        if (this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
+    // Serve a fresh cache entry or fetch and cache a new value.
+    // Cancelled lookups reject with an AbortError and leave the cache untouched.
+    async cachedLookup(cacheKey, ttl, signal, description, fetchValue) {
+        const cached = await this.cache.get(cacheKey);
+        this.throwIfAborted(signal);
+        if (cached && !cached.stale) {
+            return cached.value;
         }
 
         try {
-            const url = `https://openlibrary.org${bookId}.json`;
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+            const value = await fetchValue();
+            this.throwIfAborted(signal);
+            await this.cache.set(cacheKey, value, ttl);
 
-            const data = await response.json();
-            this.cache.set(cacheKey, data);
-            
-            return data;
+            return value;
         } catch (error) {
-            console.error('Error fetching book details:', error);
+            if (error.name !== 'AbortError') {
+                console.error(`Error fetching ${description}:`, this.describeError(error));
+            }
             throw error;
         }
     }
 
-    // Clear cache (useful for development)
+    // Summary of cached entries for the cache panel
+    inspectCache() {
+        return this.cache.inspect();
+    }
+
     clearCache() {
-        this.cache.clear();
+        return this.cache.clear();
     }
 }
 
 // Create global instance
-const bookAPI = new BookAPI();
\ No newline at end of file
+export const bookAPI = new BookAPI();
\ No newline at end of file
@@ -1,120 +1,874 @@
+import { batchChecker } from './batch.js';
+import { bookAPI } from './api.js';
+import { bookSearch } from './search.js';
+import { jurisdictionRules } from './jurisdictions.js';
+import { renewalRecords } from './renewals.js';
+import { resultsView } from './results.js';
+import { router } from './router.js';
+import { watchlist } from './watchlist.js';
+import { yearRules } from './years.js';
+import { userCorrections } from './corrections.js';
+import { clearanceReport } from './report.js';
+import { verdictEngine } from './verdict.js';
+
 // Main application logic
-class PublicDomainApp {
+export class PublicDomainApp {
     constructor() {
         this.resultContainer = null;
+        this.views = {};
+        this.jurisdictionSelect = null;
+        this.currentBook = null;
+        this.currentVerdict = null;
+        this.evaluatedBook = null; // currentBook as evaluated, with corrections and rights applied
+        this.editions = null;
+        this.rights = null;
+        this.bookController = null; // Cancels lookups for a book once another is shown
+        this.editingFacts = null; // Id of the book whose facts are being edited
     }
 
     init() {
         this.resultContainer = document.getElementById('book-result');
+        this.jurisdictionSelect = document.getElementById('jurisdiction-select');
+        this.views = {
+            search: document.getElementById('search-view'),
+            results: document.getElementById('results-view'),
+            watchlist: document.getElementById('watchlist-view'),
+            about: document.getElementById('about-view'),
+            disclaimer: document.getElementById('disclaimer-view'),
+            report: document.getElementById('report-view')
+        };
+        
+        // Load bundled renewal records in the background
+        renewalRecords.loadFromUrl('data/renewals.json');
+        yearRules.loadFromUrl('data/year-overrides.json');
+
+        // Keep the app and recent API responses available offline
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        }
         
         // Initialize search functionality
         bookSearch.init();
         
         // Set up book selection callback
         bookSearch.setBookSelectedCallback((book) => {
+            this.editions = null;
+            this.rights = null;
+            this.displayBookResult(book);
+            router.navigate('book', { id: book.id, params: { q: bookSearch.searchInput.value } });
+        });
+
+        // Keep the search text in the URL without adding a history entry per keystroke
+        bookSearch.setSearchCallback((query) => {
+            const route = router.parse();
+            const view = route.view === 'book' ? 'book' : 'search';
+            router.navigate(view, { id: route.id, params: { q: query }, replace: true });
+        });
+
+        // Choosing from the full results list opens the book like a suggestion would
+        resultsView.init();
+        resultsView.setBookSelectedCallback((book) => {
+            this.editions = null;
+            this.rights = null;
+            this.displayBookResult(book);
+            router.navigate('book', { id: book.id, params: { q: resultsView.query } });
+        });
+
+        // Batch checks report the same status as the result panel
+        batchChecker.init((book) => verdictEngine.analyze(userCorrections.apply(book)));
+
+        this.bindCachePanel();
+
+        // Opening a watched book shows the record saved with it and recomputes the verdict for today;
+        // rights and editions are looked up again, but the source record is not re-fetched
+        watchlist.init();
+        watchlist.setOpenBookCallback((book) => {
+            this.editions = null;
+            this.rights = null;
             this.displayBookResult(book);
+            router.navigate('book', { id: book.id });
+        });
+
+        clearanceReport.init();
+
+        // Re-render the verdict table when the jurisdiction changes
+        if (this.jurisdictionSelect) {
+            this.jurisdictionSelect.addEventListener('change', () => {
+                if (this.currentBook) {
+                    this.displayBookResult(this.currentBook, { scroll: false });
+                }
+            });
+        }
+
+        // Restore the view encoded in the URL and follow back/forward navigation
+        router.init();
+        router.setRouteChangeCallback((route) => {
+            this.handleRoute(route);
         });
+        this.handleRoute(router.parse());
 
         console.log('Public Domain Book Checker initialized');
     }
 
-    displayBookResult(book) {
+    handleRoute(route) {
+        const pageViews = ['results', 'watchlist', 'about', 'disclaimer', 'report'];
+        this.showView(pageViews.includes(route.view) ? route.view : 'search');
+
+        if (route.view === 'results') {
+            bookSearch.hideSuggestions();
+            resultsView.show(route.params.q || '', bookSearch.getFilters());
+        }
+
+        if (route.view === 'watchlist') {
+            watchlist.render();
+        }
+
+        if (route.view === 'report' && route.id) {
+            this.showReport(route.id);
+        }
+
+        if (pageViews.includes(route.view)) {
+            return;
+        }
+
+        const query = route.params.q || '';
+
+        if (route.view === 'book' && route.id) {
+            bookSearch.searchInput.value = query;
+
+            if (this.currentBook?.id === route.id) {
+                this.resultContainer.classList.remove('hidden');
+            } else {
+                this.restoreBook(route.id);
+            }
+            return;
+        }
+
+        // Search or home view: no book selected
+        this.currentBook = null;
+        this.resultContainer.classList.add('hidden');
+
+        if (query && bookSearch.searchInput.value !== query) {
+            bookSearch.searchFor(query);
+        }
+    }
+
+    showView(name) {
+        Object.entries(this.views).forEach(([viewName, element]) => {
+            if (element) {
+                element.classList.toggle('hidden', viewName !== name);
+            }
+        });
+    }
+
+    // Signal shared by every lookup for a book; switching books cancels the previous book's lookups
+    getBookSignal(bookId) {
+        if (this.bookController?.bookId !== bookId) {
+            this.bookController?.abort();
+            this.bookController = new AbortController();
+            this.bookController.bookId = bookId;
+        }
+
+        return this.bookController.signal;
+    }
+
+    // Load a book from its source when opening a link to it
+    async restoreBook(bookId) {
+        this.currentBook = null;
+        this.editions = null;
+        this.rights = null;
+        this.resultContainer.innerHTML = '<p>Loading book...</p>';
+        this.resultContainer.classList.remove('hidden');
+
+        const signal = this.getBookSignal(bookId);
+
+        try {
+            const book = await bookAPI.lookupBook(bookId, { signal });
+            if (signal.aborted || router.parse().id !== bookId) return;
+
+            if (!book) {
+                throw new Error(`No usable record for ${bookId}`);
+            }
+
+            this.displayBookResult(book);
+        } catch (error) {
+            if (signal.aborted) return;
+            console.error('Error restoring book:', error);
+            this.resultContainer.innerHTML = '<p>This book could not be loaded. Try searching for it instead.</p>';
+        }
+    }
+
+    displayBookResult(sourceBook, { scroll = true } = {}) {
         if (!this.resultContainer) return;
 
-        const publicDomainInfo = this.analyzePublicDomainStatus(book);
+        this.currentBook = sourceBook;
+
+        // Open Library works are checked against their earliest edition once editions load
+        if (sourceBook.source === 'openlibrary' && this.editions?.workId !== sourceBook.id) {
+            this.loadEditions(sourceBook);
+        }
+
+        // Look up HathiTrust volumes for books with ISBNs or OCLC numbers
+        if (sourceBook.identifiers && this.rights?.bookId !== sourceBook.id) {
+            this.loadRights(sourceBook);
+        }
+
+        // Facts corrected by the user take the place of the source data
+        const book = userCorrections.apply(sourceBook);
+
+        const rights = book.rights || (this.rights?.bookId === book.id ? this.rights.determination : null);
+        this.evaluatedBook = { ...book, rights };
+        const publicDomainInfo = verdictEngine.analyze(this.evaluatedBook);
+        this.currentVerdict = publicDomainInfo;
         
         const html = `
             <h2 class="book-title">${this.escapeHtml(book.title)}</h2>
-            <p class="book-author">by ${this.escapeHtml(book.authors.join(', '))}</p>
+            <p class="book-author">by ${this.formatAuthors(book.authors)}</p>
             
-            ${book.publishYear ? `<p><strong>First Published:</strong> ${book.publishYear}</p>` : '<p><strong>Publication Date:</strong> Unknown</p>'}
+            ${this.renderPublicationDate(book)}
+            ${this.renderYearRejections(book)}
             
             <div class="data-source">
                 <small>
-                    <strong>Source:</strong> ${this.getSourceDisplay(book.source)} 
+                    <strong>Source:</strong> ${verdictEngine.getSourceDisplay(book.source)} 
                     ${book.reliability ? `| <strong>Data Reliability:</strong> ${book.reliability}` : ''}
+                    ${book.records ? `<br><strong>Also listed by:</strong> ${book.records.slice(1).map(record =>
+                        `${verdictEngine.getSourceDisplay(record.source)} (${this.escapeHtml(record.id)}, ${record.reliability} reliability)`
+                    ).join(', ')}` : ''}
                 </small>
             </div>
             
+            ${this.renderCorrections(sourceBook, book)}
+            
             <div class="public-domain-status ${publicDomainInfo.cssClass}">
                 <strong>Public Domain Status:</strong> ${publicDomainInfo.status}
+                <button type="button" id="watch-toggle" class="watch-button">
+                    ${watchlist.has(book.id) ? 'Unwatch' : 'Watch'}
+                </button>
+                <a class="watch-button report-link" href="${router.build('report', { id: book.id })}">Generate report</a>
             </div>
             
+            ${this.renderJurisdictionTable({
+                ...book,
+                renewed: publicDomainInfo.renewed,
+                isPublicDomain: book.isPublicDomain || rights?.status === 'public_domain'
+            })}
+            
             <div class="book-details">
                 <h3>Details</h3>
-                <p>${publicDomainInfo.explanation}</p>
+                <p>${this.escapeHtml(publicDomainInfo.explanation)}</p>
                 
-                ${publicDomainInfo.additionalInfo ? `<p><em>${publicDomainInfo.additionalInfo}</em></p>` : ''}
+                ${publicDomainInfo.additionalInfo ? `<p><em>${this.escapeHtml(publicDomainInfo.additionalInfo)}</em></p>` : ''}
+                
+                ${publicDomainInfo.renewal ? this.renderRenewalLookup(publicDomainInfo.renewal) : ''}
+                
+                ${this.renderRightsDetermination(book, rights)}
                 
                 ${book.reliability === 'low' || book.reliability === 'medium' ? 
                     '<p><strong>Note:</strong> The publication date for this book may not be entirely accurate. Please verify independently for legal purposes.</p>' : ''}
             </div>
+            
+            ${this.renderFreeEditions(book)}
+            
+            ${this.renderTrace(publicDomainInfo.trace)}
+            
+            ${this.renderEditions(book)}
         `;
 
         this.resultContainer.innerHTML = html;
         this.resultContainer.classList.remove('hidden');
+        this.bindRenewalLoader();
+        this.bindEditionEvents();
+        this.bindWatchToggle();
+        this.bindCorrections();
         
         // Scroll to results
-        this.resultContainer.scrollIntoView({ behavior: 'smooth' });
+        if (scroll) {
+            this.resultContainer.scrollIntoView({ behavior: 'smooth' });
+        }
     }
 
-    analyzePublicDomainStatus(book) {
-        // If this is from Project Gutenberg, it's definitely public domain
-        if (book.source === 'gutenberg' || book.isPublicDomain) {
-            return {
-                status: 'Public Domain',
-                cssClass: 'status-public-domain',
-                explanation: 'This book is confirmed to be in the public domain.',
-                additionalInfo: book.source === 'gutenberg' ? 
-                    'This book is available on Project Gutenberg, which only hosts public domain works.' : 
-                    'You can freely use, copy, and distribute this work.'
-            };
+    // Build the clearance report from the book on screen, or look the book up when a
+    // report link is opened directly
+    async showReport(bookId) {
+        if (this.currentBook?.id === bookId && this.evaluatedBook) {
+            clearanceReport.render(this.evaluatedBook, this.currentVerdict);
+            return;
         }
 
-        const publishYear = book.publishYear;
-        
-        if (!publishYear) {
-            return {
-                status: 'Unknown',
-                cssClass: 'status-unknown',
-                explanation: 'The publication date for this book could not be determined, so its public domain status is unclear.',
-                additionalInfo: 'You may need to research this book manually to determine its copyright status.'
-            };
-        }
-
-        if (publishYear < 1929) {
-            return {
-                status: 'Public Domain',
-                cssClass: 'status-public-domain',
-                explanation: 'This book is in the public domain in the United States because it was published before 1929.',
-                additionalInfo: 'You can freely use, copy, and distribute this work.'
-            };
-        }
-
-        if (publishYear >= 1929 && publishYear <= 1977) {
-            return {
-                status: 'Possibly Copyrighted',
-                cssClass: 'status-unknown',
-                explanation: 'Books published between 1929-1977 may be in the public domain if their copyright was not renewed. This requires additional research.',
-                additionalInfo: 'Check the U.S. Copyright Office renewal records or consult a legal expert for certainty.'
-            };
-        }
-
-        // Published after 1977
+        clearanceReport.showMessage('Loading book...');
+        const signal = this.getBookSignal(bookId);
+
+        try {
+            const sourceBook = await bookAPI.lookupBook(bookId, { signal });
+            if (!sourceBook) {
+                throw new Error(`No usable record for ${bookId}`);
+            }
+
+            // A report without the HathiTrust volume is still worth having
+            const rights = await bookAPI.getRightsDetermination(sourceBook, { signal }).catch(error => {
+                if (error.name === 'AbortError') throw error;
+                return null;
+            });
+            if (signal.aborted || router.parse().id !== bookId) return;
+
+            const book = { ...userCorrections.apply(sourceBook), rights };
+            clearanceReport.render(book, verdictEngine.analyze(book));
+        } catch (error) {
+            if (signal.aborted) return;
+            console.error('Error building report:', error);
+            clearanceReport.showMessage('This book could not be loaded, so no report could be generated.');
+        }
+    }
+
+    // Add the current book to the watchlist with its computed expiry, or remove it
+    bindWatchToggle() {
+        const button = document.getElementById('watch-toggle');
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            if (watchlist.has(this.currentBook.id)) {
+                watchlist.remove(this.currentBook.id);
+            } else {
+                watchlist.add(this.currentBook, this.currentVerdict);
+            }
+            button.textContent = watchlist.has(this.currentBook.id) ? 'Unwatch' : 'Watch';
+        });
+    }
+
+    // Show which facts the user corrected, or the form for correcting them
+    renderCorrections(sourceBook, book) {
+        if (this.editingFacts === sourceBook.id) {
+            return this.renderFactsForm(sourceBook);
+        }
+
+        const corrected = book.userSupplied || [];
+
+        return `
+            <div class="user-corrections">
+                ${corrected.length > 0 ? `
+                    <p class="user-supplied">
+                        <strong>Your corrections:</strong> ${corrected.join(', ')}.
+                        The verdict uses these in place of the source data.
+                    </p>
+                ` : ''}
+                <button type="button" id="edit-facts" class="edit-facts-button">Edit facts</button>
+                ${corrected.length > 0 ? '<button type="button" id="reset-facts" class="edit-facts-button">Use source data</button>' : ''}
+            </div>
+        `;
+    }
+
+    // Inputs for each fact the user may correct; empty fields fall back to the source data
+    renderFactsForm(book) {
+        const facts = userCorrections.get(book.id) || {};
+        const deathYears = facts.deathYears || {};
+        const maxYear = new Date().getFullYear();
+        const selected = (value, current) => value === current ? 'selected' : '';
+
+        const authorInputs = book.authors.map((author, index) => `
+            <label>
+                Death year of ${this.escapeHtml(author.name)}
+                <input type="number" name="deathYear-${index}" min="1000" max="${maxYear}"
+                    value="${deathYears[author.name] ?? ''}" placeholder="${author.deathYear ?? 'Unknown'}">
+            </label>
+        `).join('');
+
+        const countries = jurisdictionRules.getJurisdictionCodes()
+            .filter(code => code !== 'LIFE50')
+            .map(code => `<option value="${code}" ${selected(code, facts.countryOfOrigin)}>${jurisdictionRules.getJurisdictionName(code)}</option>`)
+            .join('');
+
+        return `
+            <form id="facts-form" class="facts-form">
+                <h3>Edit facts</h3>
+                <p>Corrections are saved in this browser and marked as entered by you. Leave a field empty to use the source data.</p>
+                <label>
+                    First published
+                    <input type="number" name="publishYear" min="1000" max="${maxYear}"
+                        value="${facts.publishYear ?? ''}" placeholder="${book.publishYear ?? 'Unknown'}">
+                </label>
+                ${authorInputs}
+                <label>
+                    Country of first publication
+                    <select name="countryOfOrigin">
+                        <option value="">From the source data</option>
+                        ${countries}
+                    </select>
+                </label>
+                <label>
+                    Copyright renewal
+                    <select name="renewed">
+                        <option value="">From the renewal records</option>
+                        <option value="true" ${selected(true, facts.renewed)}>Renewed</option>
+                        <option value="false" ${selected(false, facts.renewed)}>Not renewed</option>
+                    </select>
+                </label>
+                <div class="facts-form-actions">
+                    <button type="submit">Apply</button>
+                    <button type="button" id="facts-cancel">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    // Save corrections and recompute the verdict straight away
+    bindCorrections() {
+        const rerender = () => this.displayBookResult(this.currentBook, { scroll: false });
+        const editButton = document.getElementById('edit-facts');
+        const resetButton = document.getElementById('reset-facts');
+        const form = document.getElementById('facts-form');
+
+        editButton?.addEventListener('click', () => {
+            this.editingFacts = this.currentBook.id;
+            rerender();
+        });
+
+        resetButton?.addEventListener('click', () => {
+            userCorrections.clear(this.currentBook.id);
+            rerender();
+        });
+
+        if (!form) return;
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const data = new FormData(form);
+            const year = name => parseInt(data.get(name), 10);
+
+            userCorrections.set(this.currentBook.id, {
+                publishYear: year('publishYear'),
+                deathYears: Object.fromEntries(this.currentBook.authors.map((author, index) => [author.name, year(`deathYear-${index}`)])),
+                countryOfOrigin: data.get('countryOfOrigin'),
+                renewed: { 'true': true, 'false': false }[data.get('renewed')] ?? null
+            });
+            this.editingFacts = null;
+            rerender();
+        });
+
+        document.getElementById('facts-cancel').addEventListener('click', () => {
+            this.editingFacts = null;
+            rerender();
+        });
+    }
+
+    // Fetch the work record and editions, then evaluate against the earliest verifiable edition
+    async loadEditions(book) {
+        this.editions = { workId: book.id, baseBook: book, status: 'loading', work: null, items: [] };
+        const signal = this.getBookSignal(book.id);
+
+        try {
+            const [work, editions] = await Promise.all([
+                bookAPI.getBookDetails(book.id, { signal }),
+                bookAPI.getWorkEditions(book.id, 50, { signal })
+            ]);
+
+            // Ignore results for a book that is no longer displayed
+            if (this.editions?.workId !== book.id) return;
+
+            this.editions = { ...this.editions, status: 'loaded', work, items: editions };
+
+            // Only a sample of the editions is fetched, in no particular order, so the earliest of
+            // them replaces the work's year only when it is no later; later years stay a user choice
+            const earliest = bookAPI.getSource('openlibrary').findEarliestEdition(editions, book.authors);
+            const useEarliest = earliest && (!book.publishYear || earliest.publishYear <= book.publishYear);
+            this.displayBookResult(useEarliest ? this.applyEdition(book, earliest) : book, { scroll: false });
+        } catch (error) {
+            if (this.editions?.workId !== book.id) return;
+
+            this.editions = { ...this.editions, status: 'error' };
+            this.displayBookResult(this.currentBook, { scroll: false });
+        }
+    }
+
+    // Fetch the HathiTrust rights determination and re-render when it arrives
+    async loadRights(book) {
+        this.rights = { bookId: book.id, status: 'loading', determination: null };
+        const signal = this.getBookSignal(book.id);
+
+        try {
+            const determination = await bookAPI.getRightsDetermination(book, { signal });
+            if (this.rights?.bookId !== book.id) return;
+
+            this.rights = { ...this.rights, status: 'loaded', determination };
+        } catch (error) {
+            if (this.rights?.bookId !== book.id) return;
+
+            this.rights = { ...this.rights, status: 'error' };
+        }
+
+        this.displayBookResult(this.currentBook, { scroll: false });
+    }
+
+    // Show which HathiTrust volume and rights code informed the verdict
+    renderRightsDetermination(book, rights) {
+        if (!rights && this.rights?.bookId === book.id && this.rights.status === 'loading') {
+            return '<div class="rights-determination"><h3>HathiTrust</h3><p>Checking HathiTrust rights records...</p></div>';
+        }
+
+        if (!rights || rights.status === 'not_found') {
+            return '';
+        }
+
+        return `
+            <div class="rights-determination">
+                <h3>HathiTrust</h3>
+                <p>
+                    Volume <a href="${this.escapeAttribute(rights.itemURL)}" target="_blank" rel="noopener">${this.escapeHtml(rights.htid)}</a>
+                    ${rights.publishYear ? `(${rights.publishYear})` : ''}
+                    has rights code <strong>${this.escapeHtml(rights.rightsCode)}</strong>${rights.usRightsString ? ` - ${this.escapeHtml(rights.usRightsString)}` : ''}.
+                </p>
+                ${rights.status === 'undetermined' ? '<p><small>HathiTrust has not made a determination for this volume, so the status above is based on publication data.</small></p>' : ''}
+                ${rights.status === 'copyrighted' && !verdictEngine.isRightsDecisive(book, rights) ? '<p><small>This volume is not from the year of first publication, so its rights code does not decide the status above.</small></p>' : ''}
+                ${rights.recordURL ? `<p><small><a href="${this.escapeAttribute(rights.recordURL)}" target="_blank" rel="noopener">View catalog record</a> (${rights.volumeCount} volume${rights.volumeCount === 1 ? '' : 's'} found)</small></p>` : ''}
+            </div>
+        `;
+    }
+
+    // Where to read the book for free, with the Gutenberg cover and subject headings
+    renderFreeEditions(book) {
+        const editions = book.freeEditions || [];
+        const bookshelves = book.bookshelves || [];
+        const subjects = (book.subjects || []).filter(subject => !bookshelves.includes(subject)).slice(0, 10);
+
+        if (editions.length === 0 && !book.coverImage && subjects.length === 0 && bookshelves.length === 0) {
+            return '';
+        }
+
+        const links = editions.map(edition => `
+            <li>
+                <a href="${this.escapeAttribute(edition.url)}" target="_blank" rel="noopener">${this.escapeHtml(edition.label)}</a>
+                <small>${edition.source === 'internetarchive' ? 'read or borrow on the Internet Archive' : `from ${verdictEngine.getSourceDisplay(edition.source)}`}</small>
+            </li>
+        `).join('');
+
+        return `
+            <div class="free-editions">
+                <h3>Read It</h3>
+                ${book.coverImage ? `<img class="book-cover" src="${this.escapeAttribute(book.coverImage)}" alt="Cover of ${this.escapeAttribute(book.title)}" />` : ''}
+                ${editions.length > 0 ? `<ul class="free-edition-links">${links}</ul>` : '<p>No free editions were found for this book.</p>'}
+                ${book.downloadCount ? `<p><small>Downloaded ${book.downloadCount.toLocaleString()} times from Project Gutenberg in the last 30 days.</small></p>` : ''}
+                ${subjects.length > 0 ? `<p><strong>Subjects:</strong> ${subjects.map(subject => this.escapeHtml(subject)).join('; ')}</p>` : ''}
+                ${bookshelves.length > 0 ? `<p><strong>Gutenberg Bookshelves:</strong> ${bookshelves.map(shelf => this.escapeHtml(shelf)).join('; ')}</p>` : ''}
+            </div>
+        `;
+    }
+
+    // Evaluate a book using the publication year and country of a specific edition
+    applyEdition(book, edition) {
         return {
-            status: 'Likely Copyrighted',
-            cssClass: 'status-copyrighted',
-            explanation: 'This book was published after 1977 and is likely still under copyright protection in the United States.',
-            additionalInfo: 'Most works published after 1977 remain copyrighted for the life of the author plus 70 years, or 95 years for corporate works.'
+            ...book,
+            publishYear: edition.publishYear,
+            countryOfOrigin: bookAPI.getSource('openlibrary').getEditionJurisdiction(edition.country) || book.countryOfOrigin,
+            selectedEdition: edition,
+            provenance: { ...book.provenance, publishYear: 'openlibrary:edition.publish_date' }
         };
     }
 
-    getSourceDisplay(source) {
-        const sources = {
-            'gutenberg': 'Project Gutenberg',
-            'openlibrary': 'Open Library',
+    renderEditions(book) {
+        if (book.source !== 'openlibrary' || !this.editions || this.editions.workId !== book.id) {
+            return '';
+        }
+
+        if (this.editions.status === 'loading') {
+            return '<div class="editions"><h3>Editions</h3><p>Loading editions...</p></div>';
+        }
+
+        if (this.editions.status === 'error') {
+            return '<div class="editions"><h3>Editions</h3><p>Editions could not be loaded from Open Library.</p></div>';
+        }
+
+        const earliest = bookAPI.getSource('openlibrary').findEarliestEdition(this.editions.items, book.authors);
+        const workDate = this.editions.work?.first_publish_date;
+
+        const rows = this.editions.items.map((edition, index) => `
+            <tr>
+                <td>
+                    <input type="radio" name="edition" value="${index}"
+                        ${edition.publishYear ? '' : 'disabled'}
+                        ${book.selectedEdition?.key === edition.key ? 'checked' : ''}
+                        aria-label="Use this edition" />
+                </td>
+                <td>${edition.publishYear || '<em>Unknown</em>'}${edition === earliest ? ' <small>(earliest)</small>' : ''}</td>
+                <td>${this.escapeHtml(edition.publishers.join(', ') || 'Unknown')}</td>
+                <td>${this.escapeHtml(edition.country || 'Unknown')}</td>
+                <td>${this.escapeHtml(edition.title)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="editions">
+                <h3>Editions</h3>
+                ${workDate ? `<p><small>The Open Library work record lists first publication as ${this.escapeHtml(workDate)}.</small></p>` : ''}
+                ${rows ? `
+                    <p><small>${book.selectedEdition
+                        ? 'Status is computed against the selected edition.'
+                        : 'Status is computed against the first publication year of the work, as no listed edition is earlier. Select an edition to use its year instead.'}
+                        Editions without a verifiable year cannot be selected.</small></p>
+                    <table class="editions-table">
+                        <thead>
+                            <tr><th></th><th>Year</th><th>Publisher</th><th>Country</th><th>Title</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p>No editions were found for this work.</p>'}
+            </div>
+        `;
+    }
+
+    bindEditionEvents() {
+        const radios = this.resultContainer.querySelectorAll('input[name="edition"]');
+
+        radios.forEach(radio => {
+            radio.addEventListener('change', () => {
+                const edition = this.editions.items[parseInt(radio.value, 10)];
+                this.displayBookResult(this.applyEdition(this.editions.baseBook, edition), { scroll: false });
+            });
+        });
+    }
+
+    // Render the trace as an expandable audit section
+    renderTrace(trace) {
+        if (!trace) return '';
+
+        const outcomes = {
+            'applied': 'Applied',
+            'overridden': 'Overridden',
+            'inconclusive': 'Inconclusive',
+            'not_applicable': 'Not applicable'
         };
-        return sources[source] || source;
+
+        const inputs = trace.inputs.map(input => `
+            <tr>
+                <td>${this.escapeHtml(input.name)}</td>
+                <td>${this.escapeHtml(String(input.value))}</td>
+                <td>${input.source ? this.escapeHtml(input.source) : '-'}</td>
+                <td>${input.reliability ? this.escapeHtml(input.reliability) : '-'}</td>
+            </tr>
+        `).join('');
+
+        const rules = trace.rules.map(rule => `
+            <li>
+                <span class="rule-outcome rule-${rule.outcome}">${outcomes[rule.outcome]}</span>
+                ${this.escapeHtml(rule.description)}
+                <code>${this.escapeHtml(rule.id)}</code>
+            </li>
+        `).join('');
+
+        const conflicts = trace.conflicts.map(conflict => `
+            <li>${this.escapeHtml(conflict.description)}</li>
+        `).join('');
+
+        return `
+            <details class="verdict-trace">
+                <summary>How we decided</summary>
+                <h4>Facts used</h4>
+                <table class="trace-table">
+                    <thead>
+                        <tr><th>Fact</th><th>Value</th><th>Source</th><th>Reliability</th></tr>
+                    </thead>
+                    <tbody>${inputs}</tbody>
+                </table>
+                <h4>Rules evaluated (in order of precedence)</h4>
+                <ol class="trace-rules">${rules}</ol>
+                <h4>Conflicts between sources</h4>
+                ${conflicts ? `<ul class="trace-conflicts">${conflicts}</ul>` : '<p>None found.</p>'}
+            </details>
+        `;
+    }
+
+    // Render per-jurisdiction verdicts for the selected jurisdiction(s)
+    renderJurisdictionTable(book) {
+        const selected = this.jurisdictionSelect ? this.jurisdictionSelect.value : 'all';
+        const verdicts = selected === 'all'
+            ? jurisdictionRules.evaluateAll(book)
+            : [jurisdictionRules.evaluate(selected, book)];
+
+        const rows = verdicts.map(verdict => {
+            const display = verdictEngine.describeTerm(verdict);
+            return `
+                <tr>
+                    <td>${this.escapeHtml(verdict.name)}</td>
+                    <td class="status-cell ${display.cssClass}">${display.status}</td>
+                    <td>
+                        ${this.escapeHtml(verdict.rule.description)}
+                        ${verdict.note ? `<small class="jurisdiction-note">${this.escapeHtml(verdict.note)}</small>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="jurisdiction-table">
+                <thead>
+                    <tr><th>Jurisdiction</th><th>Status</th><th>Reason</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Render the outcome of the renewal record lookup with any matched records
+    renderRenewalLookup(renewal) {
+        const messages = {
+            'renewal_found': 'A matching renewal was found, so the copyright was extended.',
+            'no_renewal_found': 'No matching renewal was found, so the copyright was not renewed.',
+            'ambiguous': 'Possible renewals were found but none match confidently. Review them below.',
+            'unavailable': 'No renewal records covering this publication year are loaded.'
+        };
+
+        const matches = renewal.matches.map(record => `
+            <li>
+                <strong>${this.escapeHtml(record.title)}</strong>
+                ${record.author ? `by ${this.escapeHtml(record.author)}` : ''}
+                <small>
+                    ${record.id ? `| ${this.escapeHtml(record.id)}` : ''}
+                    ${record.publishYear ? `| published ${record.publishYear}` : ''}
+                    ${record.renewalYear ? `| renewed ${record.renewalYear}` : ''}
+                </small>
+            </li>
+        `).join('');
+
+        return `
+            <div class="renewal-lookup">
+                <h3>Renewal Records</h3>
+                <p>${renewal.reason === 'not_loaded'
+                    ? 'No renewal records are bundled with the app, so renewal could not be checked. Load a renewal dataset to check it.'
+                    : messages[renewal.status]}</p>
+                ${matches ? `<ul class="renewal-matches">${matches}</ul>` : ''}
+                ${renewal.source && renewal.reason !== 'not_loaded' ? `<p><small>Source: ${this.escapeHtml(renewal.source)}</small></p>` : ''}
+                ${renewal.status === 'unavailable' ? `
+                    <label class="renewal-loader">
+                        Load renewal records (JSON):
+                        <input type="file" id="renewal-file" accept=".json,application/json" />
+                    </label>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Let the user load a renewal dataset from disk and re-check the current book
+    bindRenewalLoader() {
+        const input = document.getElementById('renewal-file');
+        if (!input) return;
+
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                await renewalRecords.loadFromFile(file);
+                this.displayBookResult(this.currentBook);
+            } catch (error) {
+                console.error('Error loading renewal records:', error);
+                input.insertAdjacentHTML('afterend', '<small class="renewal-error">The renewal records file could not be read.</small>');
+            }
+        });
+    }
+
+    // Author names with life dates where the source provides them
+    formatAuthors(authors) {
+        return authors.map(author => {
+            const name = this.escapeHtml(author.name);
+            if (!author.birthYear && !author.deathYear) return name;
+            const mark = author.userSupplied ? ' <small class="user-supplied">(death year entered by you)</small>' : '';
+            return `${name} (${this.escapeHtml(String(author.birthYear || '?'))}–${this.escapeHtml(String(author.deathYear || ''))})${mark}`;
+        }).join(', ');
+    }
+
+    // Known dates are shown as facts; inferred dates are labelled as estimates
+    renderPublicationDate(book) {
+        if (book.publishYear) {
+            return `
+                <p>
+                    <strong>First Published:</strong> ${book.publishYear}
+                    ${book.provenance?.publishYear ? `<small class="provenance ${book.provenance.publishYear.startsWith('user:') ? 'user-supplied' : ''}">(${verdictEngine.getProvenanceDisplay(book.provenance.publishYear)})</small>` : ''}
+                </p>
+            `;
+        }
+
+        if (book.inferredPublishYear) {
+            return `
+                <p>
+                    <strong>Publication Date:</strong> Unknown
+                    <span class="inferred-value">— estimated: probably published by ${book.inferredPublishYear}</span>
+                    ${book.provenance?.inferredPublishYear ? `<small class="provenance">(inferred from ${verdictEngine.getProvenanceDisplay(book.provenance.inferredPublishYear)})</small>` : ''}
+                </p>
+            `;
+        }
+
+        return '<p><strong>Publication Date:</strong> Unknown</p>';
+    }
+
+    // Explain publication years that were discarded by the year sanity rules
+    renderYearRejections(book) {
+        const rejections = book.yearRejections || [];
+        const warnings = (book.yearWarnings || []).filter(warning => warning.year === book.publishYear);
+        if (rejections.length === 0 && warnings.length === 0) return '';
+
+        const renderItems = entries => entries.map(entry => `
+            <li>
+                ${entry.year}${entry.field ? ` from ${verdictEngine.getProvenanceDisplay(entry.field)}` : ''}:
+                ${this.escapeHtml(entry.reason)}
+                ${entry.lifespanSource ? `<small class="provenance">(${this.escapeHtml(verdictEngine.getSourceDisplay(entry.lifespanSource))})</small>` : ''}
+            </li>
+        `).join('');
+
+        return `
+            <div class="year-rejections">
+                ${rejections.length > 0 ? `<small><strong>Discarded publication years:</strong></small><ul>${renderItems(rejections)}</ul>` : ''}
+                ${warnings.length > 0 ? `<small><strong>Publication year to verify:</strong></small><ul>${renderItems(warnings)}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    // Show cache contents when the panel is opened and allow clearing it
+    bindCachePanel() {
+        const panel = document.getElementById('cache-panel');
+        const clearButton = document.getElementById('cache-clear');
+        if (!panel || !clearButton) return;
+
+        panel.addEventListener('toggle', () => {
+            if (panel.open) {
+                this.renderCachePanel();
+            }
+        });
+
+        clearButton.addEventListener('click', async () => {
+            await bookAPI.clearCache();
+            this.renderCachePanel();
+        });
+    }
+
+    async renderCachePanel() {
+        const summary = document.getElementById('cache-summary');
+        const list = document.getElementById('cache-entries');
+        const stats = await bookAPI.inspectCache();
+
+        summary.innerHTML = `
+            <p>
+                ${stats.count} of ${stats.maxEntries} entries, about ${Math.ceil(stats.totalSize / 1024)} KB
+                ${stats.persistent ? '(saved across page loads)' : '(this session only)'}
+            </p>
+        `;
+
+        list.innerHTML = stats.entries.length === 0 ? '' : `
+            <table class="cache-table">
+                <thead>
+                    <tr><th>Key</th><th>Stored</th><th>Expires</th></tr>
+                </thead>
+                <tbody>
+                    ${stats.entries.map(entry => `
+                        <tr class="${entry.expired ? 'cache-expired' : ''}">
+                            <td>${this.escapeHtml(entry.key)}</td>
+                            <td>${new Date(entry.storedAt).toLocaleString()}</td>
+                            <td>${entry.expired ? 'Expired' : new Date(entry.expiresAt).toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 
     escapeHtml(text) {
@@ -122,6 +876,11 @@ class PublicDomainApp {
         div.textContent = text;
         return div.innerHTML;
     }
+
+    // escapeHtml leaves quotes alone, which is only safe outside attributes
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
 }
 
 // Initialize the application when the DOM is ready
@@ -0,0 +1,355 @@
+import { bookAPI } from './api.js';
+import { relevanceRanker } from './ranking.js';
+
+// Batch checking of pasted lists and CSV uploads
+export class BatchChecker {
+    constructor() {
+        this.input = null;
+        this.fileInput = null;
+        this.runButton = null;
+        this.exportCsvButton = null;
+        this.exportJsonButton = null;
+        this.progress = null;
+        this.resultsContainer = null;
+        this.analyze = null;
+        this.report = [];
+        this.controller = null;
+
+        // Searches in flight at once, to stay polite to the public APIs
+        this.concurrency = 3;
+
+        // Match scores (0-100) for each confidence level
+        this.confidenceThresholds = { high: 85, medium: 60 };
+    }
+
+    // analyze maps a book onto its public domain status, as shown in the result panel
+    init(analyze) {
+        this.input = document.getElementById('batch-input');
+        this.fileInput = document.getElementById('batch-file');
+        this.runButton = document.getElementById('batch-run');
+        this.exportCsvButton = document.getElementById('batch-export-csv');
+        this.exportJsonButton = document.getElementById('batch-export-json');
+        this.progress = document.getElementById('batch-progress');
+        this.resultsContainer = document.getElementById('batch-results');
+        this.analyze = analyze;
+
+        if (!this.input || !this.runButton || !this.resultsContainer) {
+            console.error('Required batch elements not found');
+            return;
+        }
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.runButton.addEventListener('click', () => {
+            this.run(this.input.value);
+        });
+
+        // Uploaded files are loaded into the textarea so they can be reviewed before running
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            if (file) {
+                this.input.value = await file.text();
+            }
+        });
+
+        this.exportCsvButton.addEventListener('click', () => {
+            this.download('public-domain-report.csv', this.toCsv(), 'text/csv');
+        });
+
+        this.exportJsonButton.addEventListener('click', () => {
+            this.download('public-domain-report.json', JSON.stringify(this.report, null, 2), 'application/json');
+        });
+    }
+
+    // Parse "title, author, year" rows; a header row naming the columns is optional
+    parseRows(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines.length === 0) return [];
+
+        let columns = { title: 0, author: 1, year: 2 };
+        const header = this.parseCsvLine(lines[0]).map(cell => cell.toLowerCase());
+
+        if (header.includes('title')) {
+            columns = {
+                title: header.indexOf('title'),
+                author: header.indexOf('author'),
+                year: header.indexOf('year')
+            };
+            lines.shift();
+        }
+
+        return lines
+            .map(line => {
+                const cells = this.parseCsvLine(line);
+                const year = parseInt(cells[columns.year], 10);
+
+                return {
+                    title: cells[columns.title] || '',
+                    author: columns.author >= 0 ? cells[columns.author] || '' : '',
+                    year: Number.isInteger(year) ? year : null
+                };
+            })
+            .filter(row => row.title);
+    }
+
+    // Split one CSV line, honouring double-quoted fields
+    parseCsvLine(line) {
+        const cells = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quoted) {
+                if (char === '"' && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        cells.push(current.trim());
+        return cells;
+    }
+
+    async run(text) {
+        const rows = this.parseRows(text);
+        if (rows.length === 0) {
+            this.showProgress('Add at least one title to check.');
+            return;
+        }
+
+        // Cancel a batch that is still running
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.controller = new AbortController();
+        const signal = this.controller.signal;
+
+        this.report = [];
+        this.setRunning(true);
+
+        let completed = 0;
+        this.showProgress(`Checking 0 of ${rows.length}...`);
+
+        const report = await this.runWithConcurrency(rows, async (row) => {
+            const entry = await this.checkRow(row, signal);
+            completed++;
+            this.showProgress(`Checking ${completed} of ${rows.length}...`);
+            return entry;
+        });
+
+        if (signal.aborted) return;
+
+        this.report = report;
+        this.setRunning(false);
+        this.showProgress(`Checked ${rows.length} titles. ${report.filter(entry => entry.needsReview).length} need manual review.`);
+        this.renderReport();
+    }
+
+    // Run a worker over every item with at most this.concurrency in flight, keeping input order
+    async runWithConcurrency(items, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runners = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index]);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    async checkRow(row, signal) {
+        try {
+            const query = row.author ? `${row.title} ${row.author}` : row.title;
+            const result = await bookAPI.searchBooks(query, 10, { signal });
+            const best = this.findBestMatch(row, result.books);
+            const unavailable = result.sources.filter(source => source.status !== 'ok');
+            const sourceNote = unavailable.length > 0
+                ? { error: `${unavailable.map(source => source.displayName).join(', ')} unavailable` }
+                : {};
+
+            if (!best) {
+                return { ...this.buildEntry(row, null, 0, null), ...sourceNote };
+            }
+
+            // Fall back to the year from the list when the match has none. It only feeds the
+            // status; the match keeps its own (missing) year.
+            const fromInputYear = !best.book.publishYear && Boolean(row.year);
+            const assessed = fromInputYear
+                ? { ...best.book, publishYear: row.year, provenance: { ...best.book.provenance, publishYear: 'batch:input' } }
+                : best.book;
+
+            return { ...this.buildEntry(row, best.book, best.score, this.analyze(assessed), fromInputYear), ...sourceNote };
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Batch row failed:', error);
+            }
+            return { ...this.buildEntry(row, null, 0, null), error: error.message };
+        }
+    }
+
+    // Score candidates against the row's title, author and year
+    findBestMatch(row, books) {
+        const author = row.author.toLowerCase();
+
+        const scored = books.map(book => {
+            let score = relevanceRanker.fieldScore(row.title, book.title);
+
+            if (author) {
+                const authorScore = Math.max(0, ...book.authors.map(candidate =>
+                    this.authorScore(author, candidate.name.toLowerCase())
+                ));
+                score = score * 0.7 + authorScore * 0.3;
+            }
+
+            if (row.year && book.publishYear && Math.abs(row.year - book.publishYear) > 2) {
+                score -= 15;
+            }
+
+            return { book, score: Math.max(0, Math.round(score)) };
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored[0] || null;
+    }
+
+    // Authors may be written "Given Surname" or "Surname, Given" on either side
+    authorScore(needle, haystack) {
+        const tokens = needle.split(/[\s,]+/).filter(token => token.length > 1);
+        if (tokens.length === 0) return 0;
+
+        const matched = tokens.filter(token => haystack.includes(token)).length;
+        return (matched / tokens.length) * 100;
+    }
+
+    getConfidence(score) {
+        if (score >= this.confidenceThresholds.high) return 'high';
+        if (score >= this.confidenceThresholds.medium) return 'medium';
+        return 'low';
+    }
+
+    // statusFromInputYear marks a status worked out from the year in the uploaded list
+    buildEntry(row, book, score, status, statusFromInputYear = false) {
+        const confidence = book ? this.getConfidence(score) : 'none';
+
+        return {
+            input: row,
+            match: book ? {
+                id: book.id,
+                title: book.title,
+                authors: book.authors.map(author => author.name),
+                publishYear: book.publishYear,
+                source: book.source
+            } : null,
+            score,
+            confidence,
+            status: status ? status.status : null,
+            statusFromInputYear,
+            needsReview: confidence === 'low' || confidence === 'none'
+        };
+    }
+
+    renderReport() {
+        const rows = this.report.map(entry => `
+            <tr class="${entry.needsReview ? 'needs-review' : ''}">
+                <td>
+                    ${this.escapeHtml(entry.input.title)}
+                    ${entry.input.author ? `<small>${this.escapeHtml(entry.input.author)}</small>` : ''}
+                </td>
+                <td>
+                    ${entry.match ? `
+                        ${this.escapeHtml(entry.match.title)}
+                        <small>${this.escapeHtml(entry.match.authors.join(', '))}${entry.match.publishYear ? `, ${entry.match.publishYear}` : ''}</small>
+                    ` : '<em>No match</em>'}
+                </td>
+                <td>${entry.confidence}${entry.match ? ` (${entry.score})` : ''}</td>
+                <td>${entry.status ? this.escapeHtml(entry.status) : '-'}${entry.statusFromInputYear ? ' <small>(from your year)</small>' : ''}</td>
+                <td>${entry.needsReview ? '<strong>Needs review</strong>' : ''}${entry.error ? ` <small>${this.escapeHtml(entry.error)}</small>` : ''}</td>
+            </tr>
+        `).join('');
+
+        this.resultsContainer.innerHTML = `
+            <table class="batch-table">
+                <thead>
+                    <tr><th>Input</th><th>Best Match</th><th>Confidence</th><th>Status</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    toCsv() {
+        const header = ['input_title', 'input_author', 'input_year', 'match_title', 'match_authors', 'match_year', 'match_source', 'match_id', 'confidence', 'score', 'status', 'status_from_input_year', 'needs_review'];
+        const lines = this.report.map(entry => [
+            entry.input.title,
+            entry.input.author,
+            entry.input.year,
+            entry.match?.title,
+            entry.match?.authors.join('; '),
+            entry.match?.publishYear,
+            entry.match?.source,
+            entry.match?.id,
+            entry.confidence,
+            entry.score,
+            entry.status,
+            entry.statusFromInputYear,
+            entry.needsReview
+        ].map(value => this.csvEscape(value)).join(','));
+
+        return [header.join(','), ...lines].join('\n');
+    }
+
+    csvEscape(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    download(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    setRunning(running) {
+        this.runButton.disabled = running;
+        this.exportCsvButton.disabled = running || this.report.length === 0;
+        this.exportJsonButton.disabled = running || this.report.length === 0;
+    }
+
+    showProgress(message) {
+        this.progress.textContent = message;
+        this.progress.classList.remove('hidden');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Create global instance
+export const batchChecker = new BatchChecker();
@@ -0,0 +1,148 @@
+// Cache with per-entry TTLs and LRU eviction, persisted to IndexedDB when available.
+// Entries are held in memory (most recently used last) and mirrored to IndexedDB,
+// so reads stay fast and the cache survives page loads.
+export class PersistentCache {
+    constructor({
+        dbName = 'public-domain-check',
+        storeName = 'cache',
+        maxEntries = 500,
+        defaultTtl = 60 * 60 * 1000,
+        staleTtl = 24 * 60 * 60 * 1000
+    } = {}) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.maxEntries = maxEntries;
+        this.defaultTtl = defaultTtl;
+        this.staleTtl = staleTtl; // How long past expiry an entry may still be served while revalidating
+        this.entries = new Map();
+        this.db = null;
+        this.ready = this.open();
+    }
+
+    // Open IndexedDB and load persisted entries; falls back to memory only on failure
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            return;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            const stored = await this.runTransaction('readonly', store => store.getAll());
+            stored
+                .sort((a, b) => a.lastAccessed - b.lastAccessed)
+                .forEach(entry => this.entries.set(entry.key, entry));
+
+            this.evict();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using in-memory cache:', error);
+            this.db = null;
+        }
+    }
+
+    // Run a single request against the object store
+    runTransaction(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Write-through to IndexedDB without blocking the caller
+    persist(operation) {
+        if (!this.db) return;
+
+        this.runTransaction('readwrite', operation).catch(error => {
+            console.warn('Cache persistence failed:', error);
+        });
+    }
+
+    // Get an entry, or null if missing or too old. Entries past their TTL but within
+    // staleTtl are returned with stale: true so callers can serve them and revalidate.
+    async get(key) {
+        await this.ready;
+
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        const now = Date.now();
+        if (now > entry.expiresAt + this.staleTtl) {
+            await this.delete(key);
+            return null;
+        }
+
+        // Move to the most recently used position
+        entry.lastAccessed = now;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persist(store => store.put(entry));
+
+        return { value: entry.value, stale: now > entry.expiresAt, storedAt: entry.storedAt };
+    }
+
+    async set(key, value, ttl = this.defaultTtl) {
+        await this.ready;
+
+        const now = Date.now();
+        const entry = { key, value, storedAt: now, lastAccessed: now, expiresAt: now + ttl };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persist(store => store.put(entry));
+        this.evict();
+    }
+
+    async delete(key) {
+        await this.ready;
+
+        this.entries.delete(key);
+        this.persist(store => store.delete(key));
+    }
+
+    async clear() {
+        await this.ready;
+
+        this.entries.clear();
+        this.persist(store => store.clear());
+    }
+
+    // Drop least recently used entries beyond the size cap
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.persist(store => store.delete(oldestKey));
+        }
+    }
+
+    // Summary for the cache panel
+    async inspect() {
+        await this.ready;
+
+        const now = Date.now();
+        const entries = [...this.entries.values()].reverse().map(entry => ({
+            key: entry.key,
+            storedAt: entry.storedAt,
+            expiresAt: entry.expiresAt,
+            expired: now > entry.expiresAt,
+            size: JSON.stringify(entry.value ?? null).length
+        }));
+
+        return {
+            persistent: this.db !== null,
+            count: entries.length,
+            maxEntries: this.maxEntries,
+            totalSize: entries.reduce((total, entry) => total + entry.size, 0),
+            entries
+        };
+    }
+}
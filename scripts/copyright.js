@@ -0,0 +1,164 @@
+// US copyright term engine - computes expiry from statutory rules instead of fixed cutoffs
+export class CopyrightTermCalculator {
+    constructor() {
+        // Term lengths from the 1909 and 1976 Copyright Acts (as amended in 1992 and 1998)
+        this.terms = {
+            initialTerm: 28,          // 1909 Act first term, renewal required before 1964
+            pre1978Term: 95,          // 28 + 67 year renewal term
+            lifePlus: 70,             // Individual authors, works published 1978 onward
+            hireFromPublication: 95,  // Works made for hire, anonymous and pseudonymous works
+            hireFromCreation: 120
+        };
+
+        // Years where the applicable rules change
+        this.automaticRenewalFrom = 1964;
+        this.currentActFrom = 1978;
+        this.posthumousCutoff = 2002;
+        this.posthumousMinimumExpiry = 2047;
+    }
+
+    // Calculate the US term for a work as of the evaluation date.
+    // authorDeathYears may contain null for authors whose death year is unknown.
+    // authorshipType is one of 'individual', 'joint', 'work_for_hire', 'anonymous' or 'pseudonymous'.
+    // renewed is true/false when renewal records have been checked, null otherwise.
+    calculate({
+        publishYear = null,
+        authorDeathYears = [],
+        authorshipType = 'individual',
+        creationYear = null,
+        renewed = null,
+        evaluationDate = new Date()
+    } = {}) {
+        const evaluationYear = evaluationDate.getFullYear();
+
+        if (!publishYear) {
+            return this.buildResult('unknown', null, {
+                id: 'us-unknown-publication',
+                description: 'The publication date could not be determined, so no US copyright rule can be applied.'
+            }, evaluationYear);
+        }
+
+        if (publishYear < this.currentActFrom) {
+            return this.calculatePre1978(publishYear, renewed, evaluationYear);
+        }
+
+        if (this.isCorporateAuthorship(authorshipType)) {
+            return this.calculateCorporate(publishYear, creationYear, evaluationYear);
+        }
+
+        return this.calculateLifePlus(publishYear, authorDeathYears, creationYear, evaluationYear);
+    }
+
+    // Works published before 1978: fixed terms counted from publication
+    calculatePre1978(publishYear, renewed, evaluationYear) {
+        const fullExpiry = publishYear + this.terms.pre1978Term;
+
+        if (fullExpiry < evaluationYear) {
+            return this.buildResult('public_domain', fullExpiry, {
+                id: 'us-pre1978-95-year',
+                description: `Works published before 1978 are protected for at most ${this.terms.pre1978Term} years. A work published in ${publishYear} entered the US public domain on January 1, ${fullExpiry + 1}.`
+            }, evaluationYear);
+        }
+
+        if (publishYear >= this.automaticRenewalFrom) {
+            return this.buildResult('copyrighted', fullExpiry, {
+                id: 'us-automatic-renewal',
+                description: `Works published between ${this.automaticRenewalFrom} and ${this.currentActFrom - 1} were renewed automatically and are protected for ${this.terms.pre1978Term} years from publication, until the end of ${fullExpiry}.`
+            }, evaluationYear);
+        }
+
+        const unrenewedExpiry = publishYear + this.terms.initialTerm;
+
+        if (renewed === false) {
+            return this.buildResult('public_domain', unrenewedExpiry, {
+                id: 'us-1909-not-renewed',
+                description: `Works published before ${this.automaticRenewalFrom} needed their copyright renewed after ${this.terms.initialTerm} years. No renewal was recorded, so protection ended at the end of ${unrenewedExpiry}.`
+            }, evaluationYear);
+        }
+
+        if (renewed === true) {
+            return this.buildResult('copyrighted', fullExpiry, {
+                id: 'us-1909-renewed',
+                description: `The copyright was renewed, extending protection to ${this.terms.pre1978Term} years from publication, until the end of ${fullExpiry}.`
+            }, evaluationYear);
+        }
+
+        return {
+            ...this.buildResult('renewal_required', fullExpiry, {
+                id: 'us-1909-renewal-required',
+                description: `Works published between ${evaluationYear - this.terms.pre1978Term} and ${this.automaticRenewalFrom - 1} are only protected if their copyright was renewed. If renewed, protection lasts until the end of ${fullExpiry}; if not, it ended in ${unrenewedExpiry}.`
+            }, evaluationYear),
+            unrenewedExpiryYear: unrenewedExpiry
+        };
+    }
+
+    // Works made for hire, anonymous and pseudonymous works published 1978 onward
+    calculateCorporate(publishYear, creationYear, evaluationYear) {
+        const fromPublication = publishYear + this.terms.hireFromPublication;
+        const fromCreation = (creationYear || publishYear) + this.terms.hireFromCreation;
+        const expiry = Math.min(fromPublication, fromCreation);
+
+        return this.buildResult(null, expiry, {
+            id: 'us-corporate-95-120',
+            description: `Works made for hire and anonymous or pseudonymous works are protected for ${this.terms.hireFromPublication} years from publication or ${this.terms.hireFromCreation} years from creation, whichever ends first - in this case until the end of ${expiry}.`
+        }, evaluationYear);
+    }
+
+    // Works by individual or joint authors published 1978 onward
+    calculateLifePlus(publishYear, authorDeathYears, creationYear, evaluationYear) {
+        const knownDeaths = authorDeathYears.filter(year => Number.isInteger(year));
+
+        // Joint works run from the last surviving author, so every death year is needed
+        if (knownDeaths.length === 0 || knownDeaths.length < authorDeathYears.length) {
+            return this.buildResult('likely_copyrighted', null, {
+                id: 'us-life-plus-70-unknown-death',
+                description: `Works published in ${this.currentActFrom} or later are protected for the life of the author plus ${this.terms.lifePlus} years. Without the author's death year the exact expiry cannot be calculated, but a work published in ${publishYear} is very likely still protected.`
+            }, evaluationYear);
+        }
+
+        let expiry = Math.max(...knownDeaths) + this.terms.lifePlus;
+        let id = 'us-life-plus-70';
+
+        // Works created before 1978 but first published 1978-2002 are protected through at least 2047,
+        // and those first published later through at least 2002 (17 USC 303(a))
+        const createdBefore1978 = (creationYear && creationYear < this.currentActFrom) ||
+            Math.max(...knownDeaths) < this.currentActFrom;
+        if (createdBefore1978 && publishYear <= this.posthumousCutoff && expiry < this.posthumousMinimumExpiry) {
+            expiry = this.posthumousMinimumExpiry;
+            id = 'us-posthumous-2047';
+        } else if (createdBefore1978 && publishYear > this.posthumousCutoff && expiry < this.posthumousCutoff) {
+            expiry = this.posthumousCutoff;
+            id = 'us-unpublished-2002';
+        }
+
+        const descriptions = {
+            'us-posthumous-2047': `Works created before ${this.currentActFrom} but first published between ${this.currentActFrom} and ${this.posthumousCutoff} are protected until at least the end of ${this.posthumousMinimumExpiry}.`,
+            'us-unpublished-2002': `Works created before ${this.currentActFrom} but first published after ${this.posthumousCutoff} were protected until at least the end of ${this.posthumousCutoff}, even where the life of the author plus ${this.terms.lifePlus} years ended earlier.`,
+            'us-life-plus-70': `Works published in ${this.currentActFrom} or later are protected for the life of the author plus ${this.terms.lifePlus} years. The last author died in ${Math.max(...knownDeaths)}, so protection lasts until the end of ${expiry}.`
+        };
+
+        return this.buildResult(null, expiry, { id, description: descriptions[id] }, evaluationYear);
+    }
+
+    isCorporateAuthorship(authorshipType) {
+        return ['work_for_hire', 'anonymous', 'pseudonymous'].includes(authorshipType);
+    }
+
+    // Terms run to the end of the calendar year, so works become public domain on January 1st
+    buildResult(status, expiryYear, rule, evaluationYear) {
+        if (!status) {
+            status = expiryYear < evaluationYear ? 'public_domain' : 'copyrighted';
+        }
+
+        return {
+            status,
+            expiryYear,
+            publicDomainYear: expiryYear ? expiryYear + 1 : null,
+            evaluationYear,
+            rule
+        };
+    }
+}
+
+// Create global instance
+export const copyrightTerms = new CopyrightTermCalculator();
@@ -0,0 +1,104 @@
+// Facts corrected by the user, such as a wrong publication year, saved locally per source
+// record id and applied over the source data wherever a verdict is computed
+export class UserCorrections {
+    constructor() {
+        this.storageKey = 'pd-corrections';
+        this.entries = {}; // book id -> { publishYear, deathYears: { author name: year }, countryOfOrigin, renewed }
+        this.load();
+    }
+
+    load() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.entries = stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.warn('Stored corrections are unreadable, starting empty:', error);
+            this.entries = {};
+        }
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    get(bookId) {
+        return this.entries[bookId] || null;
+    }
+
+    // Save the corrections for a book; facts left empty fall back to the source data
+    set(bookId, facts) {
+        const deathYears = Object.fromEntries(
+            Object.entries(facts.deathYears || {}).filter(([, year]) => Number.isInteger(year))
+        );
+        const entry = {
+            publishYear: Number.isInteger(facts.publishYear) ? facts.publishYear : null,
+            deathYears,
+            countryOfOrigin: facts.countryOfOrigin || null,
+            renewed: typeof facts.renewed === 'boolean' ? facts.renewed : null
+        };
+
+        const isEmpty = entry.publishYear === null && Object.keys(deathYears).length === 0 &&
+            entry.countryOfOrigin === null && entry.renewed === null;
+
+        if (isEmpty) {
+            delete this.entries[bookId];
+        } else {
+            this.entries[bookId] = { ...entry, updatedAt: new Date().toISOString() };
+        }
+        this.save();
+    }
+
+    clear(bookId) {
+        delete this.entries[bookId];
+        this.save();
+    }
+
+    // The book with the user's corrections in place of the source data. Corrected facts get
+    // a "user:" provenance (authors are flagged individually), and userSupplied lists which
+    // facts were corrected.
+    apply(book) {
+        const facts = this.get(book.id);
+        if (!facts) return book;
+
+        const corrected = { ...book, provenance: { ...book.provenance }, userSupplied: [] };
+
+        if (facts.publishYear) {
+            corrected.publishYear = facts.publishYear;
+            corrected.provenance.publishYear = 'user:publishYear';
+            corrected.userSupplied.push('publication year');
+        }
+
+        const deathYears = facts.deathYears || {};
+        if (book.authors.some(author => deathYears[author.name])) {
+            corrected.authors = book.authors.map(author => deathYears[author.name]
+                ? { ...author, deathYear: deathYears[author.name], userSupplied: true }
+                : author);
+            corrected.userSupplied.push('author death year');
+        }
+
+        if (facts.countryOfOrigin) {
+            corrected.countryOfOrigin = facts.countryOfOrigin;
+            corrected.provenance.countryOfOrigin = 'user:countryOfOrigin';
+            corrected.userSupplied.push('country of first publication');
+        }
+
+        if (typeof facts.renewed === 'boolean') {
+            corrected.renewed = facts.renewed;
+            corrected.provenance.renewed = 'user:renewed';
+            corrected.userSupplied.push('renewal status');
+        }
+
+        return corrected;
+    }
+}
+
+// Create global instance
+export const userCorrections = new UserCorrections();
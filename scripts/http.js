@@ -0,0 +1,124 @@
+// Error from HttpClient. kind is 'timeout', 'http' (a non-OK status) or 'network'.
+export class HttpError extends Error {
+    constructor(message, { kind, status = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.kind = kind;
+        this.status = status;
+    }
+}
+
+// Shared HTTP client for the book sources: per-request timeouts, exponential backoff
+// on 429 and 5xx responses, and a per-host rate limiter that spaces requests out.
+export class HttpClient {
+    constructor({ retries = 2, baseDelay = 500, maxDelay = 8000 } = {}) {
+        this.retries = retries;
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.nextSlot = new Map(); // host -> earliest time the next request may start
+    }
+
+    // Fetch and parse JSON. label names the service in error messages.
+    async getJson(url, { signal = null, timeout = 10000, minInterval = 0, label = 'Request' } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForSlot(url, minInterval, signal);
+
+            // The body is read under the same timeout, so a stalled response cannot hang the search
+            const { response, body } = await this.fetchWithTimeout(url, { signal, timeout, label },
+                async response => ({ response, body: response.ok ? await response.json() : null }));
+
+            if (response.ok) {
+                return body;
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.retries) {
+                throw new HttpError(`${label} API error: ${response.status}`, { kind: 'http', status: response.status });
+            }
+
+            await this.sleep(this.getRetryDelay(response, attempt), signal);
+        }
+    }
+
+    // fetch() that gives up after timeout ms, while still honouring the caller's signal.
+    // read(response) runs before the timer is cleared, so reading the body counts towards the timeout.
+    async fetchWithTimeout(url, { signal, timeout, label }, read = response => response) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+
+        if (signal?.aborted) {
+            abort();
+        } else {
+            signal?.addEventListener('abort', abort, { once: true });
+        }
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            return await read(response);
+        } catch (error) {
+            if (timedOut) {
+                throw new HttpError(`${label} did not respond within ${timeout / 1000} seconds`, { kind: 'timeout' });
+            }
+            if (error.name === 'AbortError' || error instanceof SyntaxError) {
+                throw error;
+            }
+            throw new HttpError(`${label} could not be reached`, { kind: 'network' });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    // Honour Retry-After when the server sends it, otherwise back off exponentially
+    getRetryDelay(response, attempt) {
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (Number.isInteger(retryAfter)) {
+            return Math.min(retryAfter * 1000, this.maxDelay);
+        }
+
+        return Math.min(this.baseDelay * 2 ** attempt, this.maxDelay);
+    }
+
+    // Reserve the next request slot for the URL's host and wait for it
+    async waitForSlot(url, minInterval, signal) {
+        if (!minInterval) return;
+
+        const host = new URL(url, globalThis.location?.href).host;
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot.get(host) || 0);
+        this.nextSlot.set(host, slot + minInterval);
+
+        if (slot > now) {
+            await this.sleep(slot - now, signal);
+        }
+    }
+
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Request was cancelled', 'AbortError'));
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request was cancelled', 'AbortError'));
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// Create global instance
+export const httpClient = new HttpClient();
@@ -0,0 +1,139 @@
+import { copyrightTerms } from './copyright.js';
+
+// Public domain rules for jurisdictions outside the US, based on author death years
+export class JurisdictionRules {
+    constructor() {
+        // previousLifePlus applies to authors who died before the term extension took effect
+        this.jurisdictions = {
+            'US': { name: 'United States', place: 'the United States' },
+            'EU': { name: 'European Union', place: 'the European Union', lifePlus: 70, shorterTerm: true },
+            'UK': { name: 'United Kingdom', place: 'the United Kingdom', lifePlus: 70, shorterTerm: true },
+            'CA': { name: 'Canada', place: 'Canada', lifePlus: 70, previousLifePlus: 50, extendedForDeathsFrom: 1972 },
+            'AU': { name: 'Australia', place: 'Australia', lifePlus: 70, previousLifePlus: 50, extendedForDeathsFrom: 1955 },
+            'LIFE50': { name: 'Life+50 countries', place: 'life+50 countries', lifePlus: 50, shorterTerm: true }
+        };
+    }
+
+    getJurisdictionCodes() {
+        return Object.keys(this.jurisdictions);
+    }
+
+    getJurisdictionName(code) {
+        return this.jurisdictions[code]?.name || code;
+    }
+
+    // Evaluate a book in every supported jurisdiction
+    evaluateAll(book, evaluationDate = new Date()) {
+        return this.getJurisdictionCodes().map(code => this.evaluate(code, book, evaluationDate));
+    }
+
+    // Evaluate a book in one jurisdiction, applying the rule of the shorter term where it exists
+    evaluate(code, book, evaluationDate = new Date()) {
+        const jurisdiction = this.jurisdictions[code];
+        if (!jurisdiction) {
+            throw new Error(`Unknown jurisdiction: ${code}`);
+        }
+
+        const result = this.evaluateOwnTerm(code, book, evaluationDate);
+
+        if (!jurisdiction.shorterTerm || result.status === 'public_domain') {
+            return result;
+        }
+
+        const origin = book.countryOfOrigin;
+        if (!origin) {
+            return {
+                ...result,
+                note: `If this work was first published outside ${jurisdiction.place}, the rule of the shorter term may end its protection earlier.`
+            };
+        }
+
+        if (origin === code || !this.jurisdictions[origin]) {
+            return result;
+        }
+
+        const originResult = this.evaluateOwnTerm(origin, book, evaluationDate);
+        if (originResult.status !== 'public_domain') {
+            return result;
+        }
+
+        return {
+            ...originResult,
+            jurisdiction: code,
+            name: jurisdiction.name,
+            rule: {
+                id: 'shorter-term',
+                description: `The rule of the shorter term applies in ${jurisdiction.place}: protection ends when it ends in the country of origin, ${this.jurisdictions[origin].place}. ${originResult.rule.description}`
+            }
+        };
+    }
+
+    // Term in a jurisdiction without comparing against the country of origin
+    evaluateOwnTerm(code, book, evaluationDate) {
+        const jurisdiction = this.jurisdictions[code];
+        const evaluationYear = evaluationDate.getFullYear();
+
+        if (code === 'US') {
+            if (book.isPublicDomain) {
+                return this.buildResult(code, 'public_domain', null, {
+                    id: 'us-confirmed',
+                    description: 'The data source confirms this work is in the US public domain.'
+                }, evaluationYear);
+            }
+
+            const term = copyrightTerms.calculate({
+                publishYear: book.publishYear,
+                authorDeathYears: (book.authors || []).map(author => author.deathYear ?? null),
+                renewed: book.renewed ?? null,
+                evaluationDate
+            });
+            return { ...term, jurisdiction: code, name: jurisdiction.name };
+        }
+
+        const deathYears = (book.authors || []).map(author => author.deathYear ?? null);
+        const knownDeaths = deathYears.filter(year => Number.isInteger(year));
+
+        if (knownDeaths.length === 0 || knownDeaths.length < deathYears.length) {
+            return this.buildResult(code, 'unknown', null, {
+                id: `${code.toLowerCase()}-unknown-death`,
+                description: `Works in ${jurisdiction.place} are protected for the life of the author plus ${jurisdiction.lifePlus} years, and the author's death year is unknown.`
+            }, evaluationYear);
+        }
+
+        const lastDeath = Math.max(...knownDeaths);
+        const lifePlus = jurisdiction.previousLifePlus && lastDeath < jurisdiction.extendedForDeathsFrom
+            ? jurisdiction.previousLifePlus
+            : jurisdiction.lifePlus;
+        const expiry = lastDeath + lifePlus;
+
+        let description = `Works in ${jurisdiction.place} are protected for the life of the author plus ${lifePlus} years. The last author died in ${lastDeath}, so protection lasts until the end of ${expiry}.`;
+        if (lifePlus !== jurisdiction.lifePlus) {
+            description += ` The extension to life plus ${jurisdiction.lifePlus} years does not revive works by authors who died before ${jurisdiction.extendedForDeathsFrom}.`;
+        }
+
+        return this.buildResult(code, null, expiry, {
+            id: `${code.toLowerCase()}-life-plus-${lifePlus}`,
+            description
+        }, evaluationYear);
+    }
+
+    // Terms run to the end of the calendar year, matching the US term engine
+    buildResult(code, status, expiryYear, rule, evaluationYear) {
+        if (!status) {
+            status = expiryYear < evaluationYear ? 'public_domain' : 'copyrighted';
+        }
+
+        return {
+            jurisdiction: code,
+            name: this.getJurisdictionName(code),
+            status,
+            expiryYear,
+            publicDomainYear: expiryYear ? expiryYear + 1 : null,
+            evaluationYear,
+            rule
+        };
+    }
+}
+
+// Create global instance
+export const jurisdictionRules = new JurisdictionRules();
@@ -0,0 +1,185 @@
+import { relevanceRanker } from './ranking.js';
+
+// Clusters search records that describe the same work and merges each cluster into one entry.
+// Titles are compared without leading articles or subtitles and authors by surname, so
+// "The Adventures of Sherlock Holmes" by "Doyle, Arthur Conan" matches
+// "Adventures of Sherlock Holmes" by "Arthur Conan Doyle". Authors are compared by surname and
+// first initial, so "Poems" by Edward Thomas and by Dylan Thomas stay apart. Merged entries keep
+// a summary of every source record, and fill facts missing from the most reliable record from
+// records whose lead author has the same full name.
+export class WorkMerger {
+    constructor() {
+        this.leadingArticles = ['the', 'a', 'an', 'le', 'la', 'les', 'el', 'der', 'die', 'das'];
+        this.reliabilityOrder = ['high', 'medium', 'low'];
+    }
+
+    // Title without subtitle or leading article, folded for comparison
+    normalizeTitle(title) {
+        const mainTitle = (title || '').split(/\s*[:;]\s*|\s+[-–—]\s+/)[0];
+        const tokens = relevanceRanker.fold(mainTitle).split(' ').filter(Boolean);
+
+        if (tokens.length > 1 && this.leadingArticles.includes(tokens[0])) {
+            tokens.shift();
+        }
+
+        return tokens.join(' ');
+    }
+
+    // "Twain, Mark" and "Mark Twain" both become "mark twain"; parenthesised
+    // full names such as "(Samuel Langhorne)" are dropped
+    normalizeAuthor(name) {
+        const cleaned = (name || '').replace(/\([^)]*\)/g, '').trim();
+        const [surname, ...given] = cleaned.split(',').map(part => part.trim()).filter(Boolean);
+        const natural = given.length > 0 ? `${given.join(' ')} ${surname}` : cleaned;
+
+        return relevanceRanker.fold(natural);
+    }
+
+    // Surname and first initial, e.g. "doyle a" for both "Doyle, Arthur Conan" and "A. Conan Doyle"
+    authorKey(name) {
+        const tokens = this.normalizeAuthor(name).split(' ').filter(Boolean);
+        if (tokens.length < 2) return tokens[0] || '';
+
+        return `${tokens[tokens.length - 1]} ${tokens[0][0]}`;
+    }
+
+    // Key shared by every record of the same work
+    workKey(book) {
+        return `${this.normalizeTitle(book.title)}_${this.authorKey(book.authors[0]?.name)}`;
+    }
+
+    // Whether two records name the same lead author in full, so facts can pass between them
+    sameAuthor(a, b) {
+        return this.normalizeAuthor(a.authors[0]?.name) === this.normalizeAuthor(b.authors[0]?.name);
+    }
+
+    // Merge records of the same work, keeping the order in which works first appear
+    merge(books) {
+        const clusters = new Map();
+
+        books.forEach(book => {
+            const key = this.workKey(book);
+            if (!clusters.has(key)) {
+                clusters.set(key, []);
+            }
+            clusters.get(key).push(book);
+        });
+
+        return [...clusters.values()].map(records =>
+            records.length === 1 ? records[0] : this.mergeRecords(records)
+        );
+    }
+
+    // Most reliable record first; ties keep their original order
+    sortByReliability(records) {
+        const rank = record => {
+            const index = this.reliabilityOrder.indexOf(record.reliability);
+            return index === -1 ? this.reliabilityOrder.length : index;
+        };
+
+        return records
+            .map((record, index) => ({ record, index }))
+            .sort((a, b) => rank(a.record) - rank(b.record) || a.index - b.index)
+            .map(({ record }) => record);
+    }
+
+    mergeRecords(records) {
+        const sorted = this.sortByReliability(records);
+        const [primary, ...others] = sorted;
+        const merged = {
+            ...primary,
+            authors: primary.authors.map(author => ({ ...author })),
+            languages: this.union(sorted.map(record => record.languages)),
+            subjects: this.union(sorted.map(record => record.subjects)),
+            provenance: { ...primary.provenance },
+            freeEditions: this.uniqueBy(sorted.flatMap(record => record.freeEditions || []), edition => edition.url),
+            coverImage: sorted.find(record => record.coverImage)?.coverImage || null,
+            yearRejections: sorted.flatMap(record => record.yearRejections || [])
+        };
+
+        const donors = others.filter(record => this.sameAuthor(primary, record));
+
+        if ([primary, ...donors].some(record => record.isPublicDomain)) {
+            merged.isPublicDomain = true;
+        }
+
+        // Fill in facts the primary record lacks, noting which record supplied them
+        if (!merged.publishYear) {
+            const donor = donors.find(record => record.publishYear);
+            if (donor) {
+                merged.publishYear = donor.publishYear;
+                merged.provenance.publishYear = donor.provenance?.publishYear || `${donor.source}:publishYear`;
+                merged.yearCandidates = donor.yearCandidates;
+            }
+        }
+
+        if (!merged.inferredPublishYear) {
+            const donor = donors.find(record => record.inferredPublishYear);
+            if (donor) {
+                merged.inferredPublishYear = donor.inferredPublishYear;
+                merged.provenance.inferredPublishYear = donor.provenance?.inferredPublishYear;
+            }
+        }
+
+        merged.authors.forEach(author => {
+            const key = this.authorKey(author.name);
+
+            donors.forEach(record => {
+                const match = record.authors.find(candidate => this.authorKey(candidate.name) === key);
+                if (!match) return;
+
+                if (!author.deathYear && match.deathYear) {
+                    author.deathYear = match.deathYear;
+                    merged.provenance.authorDeathYears = `${record.source}:authors.death_year`;
+                }
+                if (!author.birthYear && match.birthYear) {
+                    author.birthYear = match.birthYear;
+                }
+            });
+        });
+
+        const identifiers = sorted.filter(record => record.identifiers);
+        if (identifiers.length > 0) {
+            merged.identifiers = {
+                isbn: this.union(identifiers.map(record => record.identifiers.isbn)),
+                oclc: this.union(identifiers.map(record => record.identifiers.oclc))
+            };
+        }
+
+        merged.records = sorted.map(record => this.summarize(record));
+        return merged;
+    }
+
+    // The per-source facts kept on a merged entry
+    summarize(record) {
+        return {
+            id: record.id,
+            source: record.source,
+            title: record.title,
+            authors: record.authors,
+            publishYear: record.publishYear ?? null,
+            inferredPublishYear: record.inferredPublishYear ?? null,
+            identifiers: record.identifiers || null,
+            provenance: record.provenance || {},
+            reliability: record.reliability,
+            isPublicDomain: record.isPublicDomain || false
+        };
+    }
+
+    union(lists) {
+        return [...new Set(lists.flat().filter(Boolean))];
+    }
+
+    uniqueBy(items, getKey) {
+        const seen = new Set();
+        return items.filter(item => {
+            const key = getKey(item);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
+
+// Create global instance
+export const workMerger = new WorkMerger();
@@ -0,0 +1,165 @@
+// Relevance ranking for search results. Text is folded (case, diacritics, punctuation),
+// split into tokens with stop words removed, and tokens are compared with edit distance
+// so typos still match. Text relevance is then weighted by reliability and source.
+export class RelevanceRanker {
+    constructor() {
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'with', 'by', 'at', 'from',
+            'or', 'as', 'is', 'de', 'la', 'le', 'les', 'el', 'der', 'die', 'das', 'und'
+        ]);
+
+        // Token similarity (0-1) below which two tokens are treated as different words
+        this.minTokenSimilarity = 0.7;
+
+        // Partial tokens this long or longer match the start of a word, for type-ahead
+        this.minPrefixLength = 3;
+
+        // How much of a field score comes from covering the query vs. the field having no extra words
+        this.coverageWeight = 0.8;
+
+        this.reliabilityWeights = { high: 1, medium: 0.95, low: 0.85 };
+        this.sourceWeights = { gutenberg: 1, openlibrary: 1, hathitrust: 0.95 };
+    }
+
+    // Lower-case, strip diacritics and replace punctuation with spaces
+    fold(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/['\u2019]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Folded tokens without stop words; text made only of stop words keeps them all
+    tokenize(text) {
+        const tokens = this.fold(text).split(' ').filter(Boolean);
+        const meaningful = tokens.filter(token => !this.stopWords.has(token));
+        return meaningful.length > 0 ? meaningful : tokens;
+    }
+
+    // Optimal string alignment distance: Levenshtein plus adjacent transpositions
+    editDistance(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const nextRow = [i];
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+                }
+            }
+
+            previousRow = row;
+            row = nextRow;
+        }
+
+        return row[b.length];
+    }
+
+    // Similarity of a query token to a candidate token, from 0 to 1
+    tokenSimilarity(queryToken, candidateToken) {
+        if (queryToken === candidateToken) return 1;
+
+        if (queryToken.length >= this.minPrefixLength && candidateToken.startsWith(queryToken)) {
+            return 0.9;
+        }
+
+        const distance = this.editDistance(queryToken, candidateToken);
+        const similarity = 1 - distance / Math.max(queryToken.length, candidateToken.length);
+        return similarity >= this.minTokenSimilarity ? similarity : 0;
+    }
+
+    // Score (0-100) for how well query tokens are covered by candidate tokens. Precision
+    // (how little of the candidate goes unmatched) is judged on the first precisionLength tokens.
+    scoreTokens(queryTokens, candidateTokens, precisionLength = candidateTokens.length) {
+        if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+        const used = new Set();
+        let covered = 0;
+
+        queryTokens.forEach(queryToken => {
+            let best = 0;
+            let bestIndex = -1;
+
+            candidateTokens.forEach((candidateToken, index) => {
+                if (used.has(index)) return;
+
+                const similarity = this.tokenSimilarity(queryToken, candidateToken);
+                if (similarity > best) {
+                    best = similarity;
+                    bestIndex = index;
+                }
+            });
+
+            if (bestIndex >= 0) {
+                used.add(bestIndex);
+                covered += best;
+            }
+        });
+
+        const coverage = covered / queryTokens.length;
+        const precision = [...used].filter(index => index < precisionLength).length / precisionLength;
+
+        return 100 * (this.coverageWeight * coverage + (1 - this.coverageWeight) * precision);
+    }
+
+    // Score (0-100) for a query against a single field such as a title or an author name
+    fieldScore(query, text) {
+        return this.scoreTokens(this.tokenize(query), this.tokenize(text));
+    }
+
+    // Text relevance of a book: the best of title, author, or both together
+    // for queries like "pride prejudice austen"
+    textScore(book, query) {
+        const queryTokens = this.tokenize(query);
+        const titleTokens = this.tokenize(book.title);
+        const authorTokens = book.authors.map(author => this.tokenize(author.name));
+
+        const titleScore = this.scoreTokens(queryTokens, titleTokens);
+        const authorScore = Math.max(0, ...authorTokens.map(tokens => this.scoreTokens(queryTokens, tokens)));
+        const combinedScore = Math.max(0, ...authorTokens.map(tokens =>
+            this.scoreTokens(queryTokens, [...titleTokens, ...tokens], titleTokens.length)
+        ));
+
+        // Matching an author alone ranks just below an equally good title match
+        return Math.max(titleScore, authorScore * 0.9, combinedScore);
+    }
+
+    score(book, query) {
+        const reliabilityWeight = this.reliabilityWeights[book.reliability] ?? this.reliabilityWeights.low;
+        const sourceWeight = this.sourceWeights[book.source] ?? 1;
+
+        return Math.round(this.textScore(book, query) * reliabilityWeight * sourceWeight * 10) / 10;
+    }
+
+    // Score and sort books, best first. Ties fall back to title then id so the order is stable.
+    rank(books, query) {
+        return books
+            .map(book => ({ ...book, score: this.score(book, query) }))
+            .sort((a, b) =>
+                b.score - a.score ||
+                this.compareText(a.title, b.title) ||
+                this.compareText(String(a.id), String(b.id))
+            );
+    }
+
+    // Plain code-unit comparison, so ordering does not depend on the browser's locale
+    compareText(a, b) {
+        if (a === b) return 0;
+        return a < b ? -1 : 1;
+    }
+}
+
+// Create global instance
+export const relevanceRanker = new RelevanceRanker();
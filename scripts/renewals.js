@@ -0,0 +1,150 @@
+// Copyright renewal record lookup for works published before automatic renewal
+export class RenewalRecords {
+    constructor() {
+        this.records = [];
+        this.coverage = null;
+        this.sourceName = null;
+
+        // Match thresholds for title similarity (0-1)
+        this.confidentMatch = 0.85;
+        this.possibleMatch = 0.6;
+    }
+
+    // Load the bundled dataset shipped with the app
+    async loadFromUrl(url) {
+        try {
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`Renewal dataset error: ${response.status}`);
+            }
+
+            this.loadDataset(await response.json());
+        } catch (error) {
+            console.warn('Renewal records could not be loaded:', error);
+        }
+    }
+
+    // Load a dataset chosen by the user from disk
+    async loadFromFile(file) {
+        const text = await file.text();
+        this.loadDataset(JSON.parse(text));
+    }
+
+    // Dataset format: { source, coverage: { from, to }, records: [{ id, title, author, publishYear, renewalYear }] }
+    loadDataset(data) {
+        if (!data || !Array.isArray(data.records)) {
+            throw new Error('Renewal dataset must contain a records array');
+        }
+
+        // Coverage is stated, never inferred from the records: a missing renewal only means
+        // "not renewed" for years the dataset claims to list in full
+        const coverage = data.coverage;
+        if (!coverage || !Number.isInteger(coverage.from) || !Number.isInteger(coverage.to)) {
+            throw new Error('Renewal dataset must state its coverage as { from, to } publication years');
+        }
+
+        this.sourceName = data.source || 'Renewal records';
+        this.coverage = coverage;
+        this.records = data.records.map(record => ({
+            ...record,
+            normalizedTitle: this.normalize(record.title),
+            normalizedAuthor: this.normalize(record.author)
+        }));
+    }
+
+    isAvailable() {
+        return this.records.length > 0;
+    }
+
+    // Whether the loaded dataset covers the given publication year
+    covers(year) {
+        if (!this.coverage || !year) return false;
+        return year >= this.coverage.from && year <= this.coverage.to;
+    }
+
+    // Look up renewals for a book and return 'renewal_found', 'no_renewal_found', 'ambiguous' or 'unavailable'.
+    // Unavailable lookups give a reason: 'not_loaded' (no records at all) or 'not_covered'.
+    lookup(book) {
+        if (!this.isAvailable()) {
+            return { status: 'unavailable', reason: 'not_loaded', matches: [], source: this.sourceName };
+        }
+
+        if (!this.covers(book.publishYear)) {
+            return { status: 'unavailable', reason: 'not_covered', matches: [], source: this.sourceName };
+        }
+
+        const title = this.normalize(book.title);
+        const authors = (book.authors || []).map(author => this.normalize(author.name));
+
+        const candidates = this.records
+            .filter(record => !record.publishYear || Math.abs(record.publishYear - book.publishYear) <= 1)
+            .map(record => ({
+                record,
+                titleScore: this.similarity(title, record.normalizedTitle),
+                authorMatch: authors.some(author => this.authorsMatch(author, record.normalizedAuthor))
+            }))
+            .filter(candidate => candidate.titleScore >= this.possibleMatch)
+            .sort((a, b) => b.titleScore - a.titleScore);
+
+        const confident = candidates.filter(candidate =>
+            candidate.titleScore >= this.confidentMatch && candidate.authorMatch
+        );
+
+        if (confident.length > 0) {
+            return {
+                status: 'renewal_found',
+                matches: confident.map(candidate => candidate.record),
+                source: this.sourceName
+            };
+        }
+
+        if (candidates.length > 0) {
+            return {
+                status: 'ambiguous',
+                matches: candidates.slice(0, 5).map(candidate => candidate.record),
+                source: this.sourceName
+            };
+        }
+
+        return { status: 'no_renewal_found', matches: [], source: this.sourceName };
+    }
+
+    // Lowercase, strip punctuation and leading articles
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .replace(/^(the|a|an)\s+/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Dice coefficient over word tokens
+    similarity(a, b) {
+        const tokensA = new Set(a.split(' ').filter(Boolean));
+        const tokensB = new Set(b.split(' ').filter(Boolean));
+
+        if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+        let shared = 0;
+        for (const token of tokensA) {
+            if (tokensB.has(token)) shared++;
+        }
+
+        return (2 * shared) / (tokensA.size + tokensB.size);
+    }
+
+    // Renewal entries list authors as "Surname, Given", so compare surnames either way round
+    authorsMatch(bookAuthor, recordAuthor) {
+        if (!bookAuthor || !recordAuthor) return false;
+
+        const bookTokens = bookAuthor.split(' ');
+        const recordTokens = recordAuthor.split(' ');
+
+        return bookTokens.some(token => token.length > 2 && recordTokens.includes(token));
+    }
+}
+
+// Create global instance
+export const renewalRecords = new RenewalRecords();
@@ -0,0 +1,182 @@
+import { bookAPI } from './api.js';
+import { router } from './router.js';
+import { verdictEngine } from './verdict.js';
+
+// Print-ready clearance report for one book: the facts, source records and rule behind its
+// US determination, for filing as evidence. styles/print.css lays it out for save-as-PDF.
+export class ClearanceReport {
+    constructor() {
+        this.content = null;
+        this.backLink = null;
+        this.disclaimer = null;
+    }
+
+    init() {
+        this.content = document.getElementById('report-content');
+        this.backLink = document.getElementById('report-back');
+        this.disclaimer = document.getElementById('disclaimer-text');
+        const printButton = document.getElementById('report-print');
+
+        if (!this.content || !printButton) {
+            console.error('Required report elements not found');
+            return;
+        }
+
+        printButton.addEventListener('click', () => {
+            window.print();
+        });
+    }
+
+    showMessage(message) {
+        if (!this.content) return;
+        this.content.innerHTML = `<p>${this.escapeHtml(message)}</p>`;
+    }
+
+    // book is the book as evaluated, with corrections and rights applied; verdict is its analysis
+    render(book, verdict) {
+        if (!this.content) return;
+
+        const trace = verdict.trace;
+        const rule = trace.getAppliedRule();
+
+        if (this.backLink) {
+            this.backLink.href = router.build('book', { id: book.id });
+        }
+
+        this.content.innerHTML = `
+            <header class="report-header">
+                <h2>Public Domain Clearance Report</h2>
+                <p>Prepared with Public Domain Book Checker on ${this.formatDate(new Date())}</p>
+            </header>
+
+            <section class="report-section">
+                <h3>Work</h3>
+                <dl class="report-facts">
+                    <dt>Title</dt>
+                    <dd>${this.escapeHtml(book.title)}</dd>
+                    <dt>Author${book.authors.length === 1 ? '' : 's'}</dt>
+                    <dd>${this.formatAuthors(book.authors)}</dd>
+                    <dt>First published</dt>
+                    <dd>${book.publishYear ?? 'Unknown'}${book.provenance?.publishYear ? ` (${this.escapeHtml(verdictEngine.getProvenanceDisplay(book.provenance.publishYear))})` : ''}</dd>
+                </dl>
+            </section>
+
+            <section class="report-section">
+                <h3>Determination</h3>
+                <p class="report-status ${verdict.cssClass}"><strong>United States:</strong> ${this.escapeHtml(verdict.status)}</p>
+                <dl class="report-facts">
+                    <dt>Rule</dt>
+                    <dd>${rule ? `${this.escapeHtml(rule.description)} <small>(${this.escapeHtml(rule.id)})</small>` : 'No rule was conclusive.'}</dd>
+                    ${verdict.explanation !== rule?.description ? `
+                        <dt>Explanation</dt>
+                        <dd>${this.escapeHtml(verdict.explanation)}</dd>
+                    ` : ''}
+                    <dt>Evaluation date</dt>
+                    <dd>${this.formatDate(trace.evaluationDate)}</dd>
+                </dl>
+                ${book.userSupplied?.length > 0 ? `<p class="report-note">Facts entered by the user rather than taken from a source: ${this.escapeHtml(book.userSupplied.join(', '))}.</p>` : ''}
+            </section>
+
+            ${this.renderRecords(book)}
+
+            ${this.renderFacts(trace)}
+
+            <section class="report-section report-disclaimer">
+                <h3>Disclaimer</h3>
+                ${this.disclaimer ? this.disclaimer.innerHTML : ''}
+            </section>
+        `;
+    }
+
+    // Every source record behind the entry, plus the HathiTrust volume whose rights code was used
+    renderRecords(book) {
+        const records = book.records || [book];
+
+        const rows = records.map(record => {
+            const url = bookAPI.getRecordUrl(record.id);
+            return `
+                <tr>
+                    <td>${this.escapeHtml(verdictEngine.getSourceDisplay(record.source))}</td>
+                    <td>${this.escapeHtml(record.id)}</td>
+                    <td>${url ? `<a href="${this.escapeAttribute(url)}">${this.escapeHtml(url)}</a>` : '-'}</td>
+                    <td>${this.escapeHtml(record.reliability || '-')}</td>
+                    <td>${record.publishYear ?? '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const rights = book.rights && book.rights.status !== 'not_found' ? book.rights : null;
+
+        return `
+            <section class="report-section">
+                <h3>Source records</h3>
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Source</th><th>Record id</th><th>URL</th><th>Reliability</th><th>Year</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${rights ? `
+                    <p>
+                        HathiTrust volume ${this.escapeHtml(rights.htid)}, rights code <strong>${this.escapeHtml(rights.rightsCode)}</strong>:
+                        <a href="${this.escapeAttribute(rights.itemURL)}">${this.escapeHtml(rights.itemURL)}</a>
+                    </p>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    // The inputs and conflicts recorded while deciding
+    renderFacts(trace) {
+        const rows = trace.inputs.map(input => `
+            <tr>
+                <td>${this.escapeHtml(input.name)}</td>
+                <td>${this.escapeHtml(String(input.value))}</td>
+                <td>${input.source ? this.escapeHtml(input.source) : '-'}</td>
+                <td>${input.reliability ? this.escapeHtml(input.reliability) : '-'}</td>
+            </tr>
+        `).join('');
+
+        const conflicts = trace.conflicts.map(conflict => `<li>${this.escapeHtml(conflict.description)}</li>`).join('');
+
+        return `
+            <section class="report-section">
+                <h3>Facts used</h3>
+                <table class="report-table">
+                    <thead>
+                        <tr><th>Fact</th><th>Value</th><th>Source</th><th>Reliability</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${conflicts ? `<h4>Conflicting data</h4><ul>${conflicts}</ul>` : ''}
+            </section>
+        `;
+    }
+
+    formatAuthors(authors) {
+        return authors.map(author => {
+            const name = this.escapeHtml(author.name);
+            if (!author.birthYear && !author.deathYear) return name;
+            return `${name} (${author.birthYear || '?'}–${author.deathYear || ''})`;
+        }).join(', ');
+    }
+
+    // Unambiguous date for a filed document, e.g. "19 October 2026"
+    formatDate(date) {
+        return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // escapeHtml leaves quotes alone, which is only safe outside attributes
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+// Create global instance
+export const clearanceReport = new ClearanceReport();
@@ -0,0 +1,199 @@
+import { bookAPI } from './api.js';
+import { bookSearch } from './search.js';
+import { workMerger } from './merge.js';
+
+// Full, paged results view for a query, separate from the autocomplete dropdown
+export class ResultsView {
+    constructor() {
+        this.container = null;
+        this.heading = null;
+        this.status = null;
+        this.loadMoreButton = null;
+        this.sentinel = null;
+        this.observer = null;
+        this.onBookSelected = null;
+
+        this.pageSize = 20;
+        this.query = '';
+        this.filters = {};
+        this.books = [];
+        this.cursors = {};
+        this.hasMore = false;
+        this.loading = false;
+        this.controller = null;
+        this.unavailable = []; // Display names of sources whose last page failed
+    }
+
+    init() {
+        this.container = document.getElementById('results-list');
+        this.heading = document.getElementById('results-heading');
+        this.status = document.getElementById('results-status');
+        this.loadMoreButton = document.getElementById('results-load-more');
+        this.sentinel = document.getElementById('results-sentinel');
+
+        if (!this.container || !this.loadMoreButton) {
+            console.error('Required results elements not found');
+            return;
+        }
+
+        this.loadMoreButton.addEventListener('click', () => {
+            this.loadMore();
+        });
+
+        // Load the next page as the end of the list scrolls into view
+        if (this.sentinel && typeof IntersectionObserver !== 'undefined') {
+            this.observer = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMore();
+                }
+            });
+            this.observer.observe(this.sentinel);
+        }
+
+        this.container.addEventListener('click', (e) => {
+            this.selectItem(e.target.closest('.results-item'));
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.selectItem(e.target.closest('.results-item'));
+            }
+        });
+    }
+
+    selectItem(item) {
+        if (!item) return;
+
+        const book = this.books.find(candidate => candidate.id === item.dataset.id);
+        if (book && this.onBookSelected) {
+            this.onBookSelected(book);
+        }
+    }
+
+    // Start a new result set; showing the same query and filters again keeps the loaded pages
+    show(query, filters = {}) {
+        if (!this.container) return;
+
+        const trimmedQuery = query.trim();
+        if (trimmedQuery === this.query && JSON.stringify(filters) === JSON.stringify(this.filters) && this.books.length > 0) {
+            return;
+        }
+
+        if (this.controller) {
+            this.controller.abort();
+        }
+
+        this.query = trimmedQuery;
+        this.filters = filters;
+        this.books = [];
+        this.cursors = {};
+        this.unavailable = [];
+        this.hasMore = this.query.length > 0 || Object.values(filters).some(Boolean);
+        this.loading = false;
+
+        this.heading.textContent = this.query ? `Results for "${this.query}"` : 'Results';
+        this.container.innerHTML = '';
+        this.render();
+        this.loadMore();
+    }
+
+    async loadMore() {
+        if (this.loading || !this.hasMore) return;
+
+        this.controller = new AbortController();
+        const signal = this.controller.signal;
+        this.loading = true;
+        this.render();
+
+        try {
+            const page = await bookAPI.searchPage(this.query, this.cursors, {
+                pageSize: this.pageSize,
+                signal,
+                filters: this.filters
+            });
+            if (signal.aborted) return;
+
+            const added = this.addBooks(page.books);
+            this.cursors = page.cursors;
+            this.hasMore = page.hasMore;
+            this.unavailable = [...new Set([
+                ...this.unavailable,
+                ...page.sources.filter(source => source.status !== 'ok').map(source => source.displayName)
+            ])];
+            this.appendItems(added);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error loading results:', error);
+            this.hasMore = false;
+        } finally {
+            if (!signal.aborted) {
+                this.loading = false;
+                this.render();
+            }
+        }
+    }
+
+    // Merge a page into the loaded results, returning only books not already shown
+    addBooks(pageBooks) {
+        // Books already on screen stay put, even if a later page has a more reliable copy
+        const shownKeys = new Set(this.books.map(book => workMerger.workKey(book)));
+        const added = bookAPI.deduplicateBooks(pageBooks)
+            .filter(book => bookSearch.matchesFilters(book, this.filters))
+            .filter(book => !shownKeys.has(workMerger.workKey(book)));
+
+        this.books.push(...added);
+        return added;
+    }
+
+    appendItems(books) {
+        this.container.insertAdjacentHTML('beforeend', books.map(book => {
+            const year = book.publishYear || book.inferredPublishYear;
+
+            return `
+                <li class="results-item" data-id="${this.escapeAttribute(book.id)}" tabindex="0">
+                    <div class="results-title">${this.escapeHtml(book.title)}</div>
+                    <div class="results-details">
+                        ${book.authors.length > 0 ? this.escapeHtml(book.authors.map(author => author.name).join(', ')) : 'Unknown author'}
+                        ${year ? ` • ${book.publishYear ? year : `est. by ${year}`}` : ''}
+                        • ${this.escapeHtml(bookAPI.getSource(book.source)?.displayName || book.source)}
+                    </div>
+                </li>
+            `;
+        }).join(''));
+    }
+
+    render() {
+        this.loadMoreButton.classList.toggle('hidden', !this.hasMore || this.loading);
+
+        if (this.loading) {
+            this.status.textContent = 'Loading results...';
+        } else if (this.books.length === 0) {
+            this.status.textContent = 'No books found.';
+        } else {
+            this.status.textContent = `Showing ${this.books.length} books${this.hasMore ? '' : ' (all results loaded)'}`;
+        }
+
+        if (!this.loading && this.unavailable.length > 0) {
+            this.status.textContent += ` ${this.unavailable.join(', ')} unavailable, so results may be incomplete.`;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // escapeHtml leaves quotes alone, which is only safe outside attributes
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // Set callback for when a result is chosen
+    setBookSelectedCallback(callback) {
+        this.onBookSelected = callback;
+    }
+}
+
+// Create global instance
+export const resultsView = new ResultsView();
@@ -0,0 +1,61 @@
+// Hash-based client-side routing, so results can be linked to and revisited with the back button.
+// Routes look like #/book/<id>?q=<query>, #/search?q=<query>, #/results?q=<query>, #/report/<id>, #/about and #/disclaimer.
+export class HashRouter {
+    constructor() {
+        this.onRouteChange = null;
+    }
+
+    init() {
+        window.addEventListener('hashchange', () => {
+            this.handleChange();
+        });
+    }
+
+    // Parse the current hash into a view name, an optional id and query parameters
+    parse(hash = window.location.hash) {
+        const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+        const [view = '', ...rest] = path.split('/');
+        const params = Object.fromEntries(new URLSearchParams(queryString));
+
+        return {
+            view: view || 'home',
+            id: rest.length > 0 ? decodeURIComponent(rest.join('/')) : null,
+            params
+        };
+    }
+
+    // Build a hash for a view, id and query parameters
+    build(view, { id = null, params = {} } = {}) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value)
+        ).toString();
+
+        return `#/${view}${id ? `/${encodeURIComponent(id)}` : ''}${query ? `?${query}` : ''}`;
+    }
+
+    // Push a new history entry, or replace the current one for transient state like search text
+    navigate(view, { id = null, params = {}, replace = false } = {}) {
+        const hash = this.build(view, { id, params });
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+
+    handleChange() {
+        if (this.onRouteChange) {
+            this.onRouteChange(this.parse());
+        }
+    }
+
+    // Set callback for when the route changes
+    setRouteChangeCallback(callback) {
+        this.onRouteChange = callback;
+    }
+}
+
+// Create global instance
+export const router = new HashRouter();
@@ -1,17 +1,34 @@
+import { bookAPI } from './api.js';
+import { relevanceRanker } from './ranking.js';
+import { router } from './router.js';
+
 // Search functionality with fuzzy matching and suggestions
-class BookSearch {
+export class BookSearch {
     constructor() {
         this.searchInput = null;
         this.suggestionsContainer = null;
         this.currentSuggestions = [];
         this.selectedIndex = -1;
         this.searchTimeout = null;
+        this.searchController = null; // Cancels the in-flight search when a newer one starts
         this.onBookSelected = null;
+        this.onSearch = null;
+        this.advancedSearchButton = null;
+        this.filterInputs = {};
     }
 
     init() {
         this.searchInput = document.getElementById('book-search');
         this.suggestionsContainer = document.getElementById('search-suggestions');
+        this.advancedSearchButton = document.getElementById('advanced-search-run');
+        this.filterInputs = {
+            title: document.getElementById('filter-title'),
+            author: document.getElementById('filter-author'),
+            yearFrom: document.getElementById('filter-year-from'),
+            yearTo: document.getElementById('filter-year-to'),
+            language: document.getElementById('filter-language'),
+            subject: document.getElementById('filter-subject')
+        };
         
         if (!this.searchInput || !this.suggestionsContainer) {
             console.error('Required search elements not found');
@@ -37,6 +54,14 @@ class BookSearch {
             }
         });
 
+        // Advanced filters run a search even without free text
+        if (this.advancedSearchButton) {
+            this.advancedSearchButton.addEventListener('click', () => {
+                this.performSearch(this.searchInput.value);
+                this.searchInput.focus();
+            });
+        }
+
         // Hide suggestions when clicking outside
         document.addEventListener('click', (e) => {
             if (!this.searchInput.contains(e.target) && !this.suggestionsContainer.contains(e.target)) {
@@ -45,6 +70,20 @@ class BookSearch {
         });
     }
 
+    // Filters from the advanced search panel, leaving out empty fields
+    getFilters() {
+        const filters = {};
+
+        Object.entries(this.filterInputs).forEach(([name, input]) => {
+            const value = input?.value.trim();
+            if (!value) return;
+
+            filters[name] = ['yearFrom', 'yearTo'].includes(name) ? parseInt(value, 10) : value;
+        });
+
+        return filters;
+    }
+
     handleSearchInput(query) {
         // Clear previous timeout
         if (this.searchTimeout) {
@@ -56,6 +95,7 @@ class BookSearch {
 
         // Hide suggestions if query is too short
         if (query.length < 2) {
+            this.cancelSearch();
             this.hideSuggestions();
             return;
         }
@@ -66,91 +106,157 @@ class BookSearch {
         }, 300);
     }
 
+    // Run a search for a query set from outside the input, e.g. a restored URL
+    searchFor(query) {
+        this.searchInput.value = query;
+        this.handleSearchInput(query);
+    }
+
+    // Only the latest search renders: starting a search cancels the one before it
     async performSearch(query) {
+        if (this.onSearch) {
+            this.onSearch(query);
+        }
+
+        this.cancelSearch();
+        const controller = new AbortController();
+        this.searchController = controller;
+
         try {
             this.setLoadingState(true);
-            const books = await bookAPI.searchBooks(query);
+            const filters = this.getFilters();
+            const result = await bookAPI.searchBooks(query, 10, { signal: controller.signal, filters });
+            if (controller.signal.aborted) return;
             
             // Apply fuzzy matching for better results
-            const filteredBooks = this.applyFuzzyFilter(books, query);
+            const filteredBooks = this.applyFuzzyFilter(result.books, query, filters);
             
-            this.displaySuggestions(filteredBooks);
+            this.displaySuggestions(filteredBooks, this.getSourceNotice(result));
         } catch (error) {
+            if (controller.signal.aborted) return;
+
             console.error('Search failed:', error);
-            this.displayError('Search failed. Please try again.');
+            this.displayError(navigator.onLine === false
+                ? 'You are offline, and this search has not been cached.'
+                : 'Search failed. Please try again.');
         } finally {
+            if (this.searchController === controller) {
+                this.searchController = null;
+                this.setLoadingState(false);
+            }
+        }
+    }
+
+    // Drop a pending debounced search and cancel one in flight
+    cancelSearch() {
+        clearTimeout(this.searchTimeout);
+
+        if (this.searchController) {
+            this.searchController.abort();
+            this.searchController = null;
             this.setLoadingState(false);
         }
     }
 
-    applyFuzzyFilter(books, query) {
-        return books
-            .map(book => ({
-                ...book,
-                score: this.calculateMatchScore(book, query)
-            }))
+    applyFuzzyFilter(books, query, filters = {}) {
+        // Without free text, rank by whichever field filter was given
+        const matchText = query || filters.title || filters.author || '';
+
+        const matching = books.filter(book => this.matchesFilters(book, filters));
+        const ranked = matchText
+            ? relevanceRanker.rank(matching, matchText)
+            : matching.map(book => ({ ...book, score: 100 }));
+
+        return ranked
             .filter(book => book.score > 30) // Minimum score threshold
-            .sort((a, b) => b.score - a.score)
             .slice(0, 8); // Limit to top 8 results
     }
 
-    calculateMatchScore(book, query) {
-        const queryLower = query.toLowerCase();
-        const titleScore = this.fuzzyMatch(queryLower, book.title.toLowerCase()) * 2; // Title weighted higher
-        
-        let authorScore = 0;
-        if (book.authors && book.authors.length > 0) {
-            authorScore = Math.max(...book.authors.map(author => 
-                this.fuzzyMatch(queryLower, author.toLowerCase())
-            ));
+    // Apply advanced filters client-side, since sources interpret them loosely.
+    // Books missing a field (e.g. no known year) are kept rather than guessed out.
+    matchesFilters(book, filters) {
+        if (filters.title && relevanceRanker.fieldScore(filters.title, book.title) < 80) {
+            return false;
         }
 
-        return Math.max(titleScore, authorScore);
-    }
+        if (filters.author && !book.authors.some(author =>
+            relevanceRanker.fieldScore(filters.author, author.name) >= 80
+        )) {
+            return false;
+        }
 
-    fuzzyMatch(needle, haystack) {
-        // Exact substring match gets highest score
-        if (haystack.includes(needle)) {
-            return 100;
+        if (book.publishYear) {
+            if (filters.yearFrom && book.publishYear < filters.yearFrom) return false;
+            if (filters.yearTo && book.publishYear > filters.yearTo) return false;
         }
 
-        // Character-by-character fuzzy matching
-        let score = 0;
-        let needleIndex = 0;
-        
-        for (let i = 0; i < haystack.length && needleIndex < needle.length; i++) {
-            if (haystack[i] === needle[needleIndex]) {
-                score++;
-                needleIndex++;
+        if (filters.language && book.languages?.length > 0 && !book.languages.includes(filters.language)) {
+            return false;
+        }
+
+        if (filters.subject && book.subjects?.length > 0) {
+            const subject = filters.subject.toLowerCase();
+            if (!book.subjects.some(candidate => candidate.toLowerCase().includes(subject))) {
+                return false;
             }
         }
 
-        return (score / needle.length) * 100;
+        return true;
+    }
+
+    // Explain partial results when a source failed, timed out or was replaced by the offline catalog
+    getSourceNotice(result) {
+        if (result.usedFallback) {
+            return 'Book sources are unreachable. Showing matches from the offline Project Gutenberg catalog.';
+        }
+
+        const unavailable = result.sources.filter(source => source.status !== 'ok');
+        if (unavailable.length === 0) {
+            return null;
+        }
+
+        const problems = unavailable.map(source =>
+            source.status === 'timeout' ? `${source.displayName} timed out` : `${source.displayName} unavailable`
+        );
+        return `${problems.join(', ')}. Results may be incomplete.`;
+    }
+
+    renderNotice(notice) {
+        return notice ? `<div class="suggestion-notice">${this.escapeHtml(notice)}</div>` : '';
     }
 
-    displaySuggestions(books) {
+    displaySuggestions(books, notice = null) {
         this.currentSuggestions = books;
         
         if (books.length === 0) {
-            this.displayNoResults();
+            this.displayNoResults(notice);
             return;
         }
 
         const html = books.map((book, index) => `
             <div class="suggestion-item" data-index="${index}">
                 <div class="suggestion-title">${this.escapeHtml(book.title)}</div>
-                <div class="suggestion-author">by ${this.escapeHtml(book.authors.join(', '))}</div>
+                <div class="suggestion-author">by ${this.escapeHtml(book.authors.map(author => author.name).join(', '))}</div>
                 ${book.publishYear ? `<div class="suggestion-year">${book.publishYear}</div>` : ''}
+                ${!book.publishYear && book.inferredPublishYear ? `<div class="suggestion-year">est. by ${book.inferredPublishYear}</div>` : ''}
             </div>
         `).join('');
 
-        this.suggestionsContainer.innerHTML = html;
+        // The dropdown shows the best few matches; the results view pages through everything
+        const allResultsLink = `
+            <a class="suggestion-more" href="${router.build('results', { params: { q: this.searchInput.value.trim() } })}">
+                See all results
+            </a>
+        `;
+
+        this.suggestionsContainer.innerHTML = this.renderNotice(notice) + html + allResultsLink;
         this.bindSuggestionEvents();
         this.showSuggestions();
     }
 
-    displayNoResults() {
+    displayNoResults(notice = null) {
         this.suggestionsContainer.innerHTML = `
+            ${this.renderNotice(notice)}
             <div class="suggestion-item">
                 <div class="suggestion-title">No books found</div>
                 <div class="suggestion-author">Try a different search term</div>
@@ -230,7 +336,8 @@ class BookSearch {
         // Update search input
         this.searchInput.value = book.title;
         
-        // Hide suggestions
+        // Hide suggestions, and stop a pending search from reopening them
+        this.cancelSearch();
         this.hideSuggestions();
         
         // Notify that a book was selected
@@ -262,7 +369,12 @@ class BookSearch {
     setBookSelectedCallback(callback) {
         this.onBookSelected = callback;
     }
+
+    // Set callback for when a search is run
+    setSearchCallback(callback) {
+        this.onSearch = callback;
+    }
 }
 
 // Create global instance
-const bookSearch = new BookSearch();
\ No newline at end of file
+export const bookSearch = new BookSearch();
\ No newline at end of file
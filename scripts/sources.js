@@ -0,0 +1,746 @@
+import { httpClient } from './http.js';
+import { relevanceRanker } from './ranking.js';
+import { yearRules } from './years.js';
+
+// Data source adapters used by BookAPI.
+// Each adapter implements search, normalize, assessReliability and getDetails,
+// so new sources can be registered without changing BookAPI.searchBooks.
+export class SourceAdapter {
+    // timeout: ms to wait for a response; minInterval: ms between requests to the same host
+    constructor(name, displayName, { timeout = 10000, minInterval = 0 } = {}) {
+        this.name = name;
+        this.displayName = displayName;
+        this.timeout = timeout;
+        this.minInterval = minInterval;
+    }
+
+    // Fetch raw search results for a query.
+    // filters may hold title, author, yearFrom, yearTo, language (ISO 639-1) and subject.
+    async search(query, { limit, signal, filters } = {}) {
+        throw new Error(`${this.name} adapter does not implement search()`);
+    }
+
+    // Fetch one page of normalized results. cursor is null for the first page;
+    // nextCursor is null when there are no more pages. Single-page sources use this default.
+    async searchPage(query, { cursor = null, limit, signal, filters } = {}) {
+        if (cursor !== null) {
+            return { books: [], nextCursor: null };
+        }
+
+        const data = await this.search(query, { limit, signal, filters });
+        return { books: this.normalize(data), nextCursor: null };
+    }
+
+    // Convert a raw search response into normalized book records
+    normalize(data) {
+        throw new Error(`${this.name} adapter does not implement normalize()`);
+    }
+
+    // Rate a raw record as 'high', 'medium', 'low' or 'invalid'
+    assessReliability(record) {
+        return 'medium';
+    }
+
+    // Fetch the full record for a book id owned by this source
+    async getDetails(bookId, signal) {
+        throw new Error(`${this.name} adapter does not implement getDetails()`);
+    }
+
+    // Fetch one book by id and return it as a normalized record
+    async lookup(bookId, signal) {
+        return this.normalizeDetails(await this.getDetails(bookId, signal));
+    }
+
+    // Convert a getDetails() response into a normalized book record
+    normalizeDetails(data) {
+        throw new Error(`${this.name} adapter does not implement normalizeDetails()`);
+    }
+
+    // Whether a normalized book id belongs to this source
+    ownsId(bookId) {
+        return false;
+    }
+
+    // Public web page for a book id owned by this source, or null if there is none
+    getRecordUrl(bookId) {
+        return null;
+    }
+
+    // Fetch JSON through the shared HTTP client, with this source's timeout and rate limit
+    async fetchJson(url, signal) {
+        return httpClient.getJson(url, {
+            signal,
+            timeout: this.timeout,
+            minInterval: this.minInterval,
+            label: this.displayName
+        });
+    }
+
+    // ISO 639-1 codes offered in the search form and their MARC equivalents used by Open Library
+    static languageCodes = {
+        en: 'eng', fr: 'fre', de: 'ger', es: 'spa', it: 'ita',
+        pt: 'por', nl: 'dut', la: 'lat', ru: 'rus', zh: 'chi', ja: 'jpn'
+    };
+
+    // Build a normalized author record; unknown values stay null rather than guessed
+    createAuthor(name, { birthYear = null, deathYear = null, key = null } = {}) {
+        return {
+            name: name || 'Unknown Author',
+            birthYear: birthYear ?? null,
+            deathYear: deathYear ?? null,
+            key: key ?? null
+        };
+    }
+
+    // Check if a year seems valid
+    isValidYear(year) {
+        const currentYear = new Date().getFullYear();
+        
+        // Basic range check
+        if (!year || year < 1000 || year > currentYear) {
+            return false;
+        }
+        
+        // Flag obviously wrong dates
+        if (year < 1400) { // Before printing press
+            return false;
+        }
+        
+        return true;
+    }
+}
+
+// Project Gutenberg via Gutendex (most reliable for public domain books)
+export class GutenbergSource extends SourceAdapter {
+    constructor() {
+        // Gutendex is slow and sometimes hangs, so give up sooner than on other sources
+        super('gutenberg', 'Project Gutenberg', { timeout: 8000, minInterval: 250 });
+    }
+
+    async search(query, { signal, filters = {} } = {}) {
+        return this.fetchJson(this.buildSearchUrl(query, filters), signal);
+    }
+
+    // Gutendex pages are linked by a "next" URL, which is used as the cursor
+    async searchPage(query, { cursor = null, signal, filters = {} } = {}) {
+        const data = await this.fetchJson(cursor || this.buildSearchUrl(query, filters), signal);
+        return { books: this.normalize(data), nextCursor: data.next || null };
+    }
+
+    buildSearchUrl(query, filters = {}) {
+        const params = new URLSearchParams();
+        const searchText = [query, filters.title, filters.author].filter(Boolean).join(' ');
+
+        if (searchText) params.set('search', searchText);
+        // Gutendex only filters by the years its authors were alive
+        if (filters.yearFrom) params.set('author_year_start', filters.yearFrom);
+        if (filters.yearTo) params.set('author_year_end', filters.yearTo);
+        if (filters.language) params.set('languages', filters.language);
+        if (filters.subject) params.set('topic', filters.subject);
+
+        return `https://gutendex.com/books/?${params.toString()}`;
+    }
+
+    // Process Project Gutenberg results (most reliable)
+    normalize(data) {
+        if (!data.results || !Array.isArray(data.results)) {
+            return [];
+        }
+
+        return data.results.map(book => {
+            const authors = book.authors?.length > 0
+                ? book.authors.map(author => this.createAuthor(author.name, {
+                    birthYear: author.birth_year,
+                    deathYear: author.death_year
+                }))
+                : [this.createAuthor('Unknown Author')];
+
+            return {
+                id: `gutenberg_${book.id}`,
+                title: book.title || 'Unknown Title',
+                authors,
+                publishYear: null, // Gutendex has no publication dates
+                inferredPublishYear: this.extractYearFromGutenberg(book),
+                languages: book.languages || [],
+                subjects: [...(book.subjects || []), ...(book.bookshelves || [])],
+                bookshelves: book.bookshelves || [],
+                coverImage: book.formats?.['image/jpeg'] || null,
+                downloadCount: book.download_count ?? null,
+                freeEditions: this.extractFormats(book.formats),
+                provenance: {
+                    title: 'gutenberg:title',
+                    authors: 'gutenberg:authors',
+                    inferredPublishYear: 'gutenberg:authors.death_year'
+                },
+                source: 'gutenberg',
+                reliability: this.assessReliability(book),
+                isPublicDomain: true // All Gutenberg books are public domain
+            };
+        });
+    }
+
+    // Download links from the Gutendex formats map, one per reader-facing format
+    extractFormats(formats = {}) {
+        const labels = {
+            'application/epub+zip': 'EPUB',
+            'application/x-mobipocket-ebook': 'Kindle',
+            'text/html': 'HTML',
+            'text/plain': 'Plain text'
+        };
+        const editions = new Map();
+
+        Object.entries(formats || {}).forEach(([mimeType, url]) => {
+            const label = labels[mimeType.split(';')[0].trim()];
+            if (label && !editions.has(label)) {
+                editions.set(label, { label, url, source: 'gutenberg' });
+            }
+        });
+
+        return [...editions.values()];
+    }
+
+    // Infer an upper bound for the publication year from Gutenberg author data.
+    // This is an estimate and must never be presented as the publication date.
+    extractYearFromGutenberg(book) {
+        const deathYears = (book.authors || [])
+            .map(author => author.death_year)
+            .filter(year => Number.isInteger(year));
+
+        // Most works are published during the author's lifetime
+        return deathYears.length > 0 ? Math.max(...deathYears) : null;
+    }
+
+    assessReliability(book) {
+        return 'high'; // Gutenberg data is very reliable
+    }
+
+    async getDetails(bookId, signal) {
+        const id = bookId.replace(/^gutenberg_/, '');
+        return this.fetchJson(`https://gutendex.com/books/${id}`, signal);
+    }
+
+    normalizeDetails(data) {
+        return this.normalize({ results: [data] })[0] || null;
+    }
+
+    ownsId(bookId) {
+        return bookId.startsWith('gutenberg_');
+    }
+
+    getRecordUrl(bookId) {
+        return `https://www.gutenberg.org/ebooks/${bookId.replace(/^gutenberg_/, '')}`;
+    }
+}
+
+// Preprocessed snapshot of the Project Gutenberg catalog, searched locally when the
+// remote sources are unreachable. The file is optional; build it with tools/build-catalog.js.
+export class GutenbergCatalogSource extends SourceAdapter {
+    constructor(url = 'data/gutenberg-catalog.json') {
+        super('gutenberg-catalog', 'Project Gutenberg catalog (offline copy)', { timeout: 60000 });
+        this.url = url;
+        this.index = null;
+        this.generatedAt = null;
+        this.loading = null;
+        this.maxCandidates = 1000; // Bound ranking work for very short queries
+    }
+
+    // Load the snapshot once, with folded text for each record to search against
+    async load() {
+        if (!this.loading) {
+            this.loading = this.fetchJson(this.url)
+                .then(data => {
+                    this.index = (data.books || []).map(record => ({
+                        record,
+                        text: relevanceRanker.fold([record.title, ...(record.authors || []).map(author => author.name)].join(' '))
+                    }));
+                    this.generatedAt = data.generatedAt || null;
+                    return this.index;
+                })
+                .catch(error => {
+                    this.loading = null; // Try again on the next search
+                    throw error;
+                });
+        }
+
+        return this.loading;
+    }
+
+    async search(query, { limit = 10 } = {}) {
+        const index = await this.load();
+        const queryText = query || '';
+
+        // Cheap pre-filter on the first letters of each word, so typos later in a word still match
+        const prefixes = relevanceRanker.tokenize(queryText).map(token => token.slice(0, 3));
+        const candidates = index
+            .filter(entry => prefixes.length > 0 && prefixes.every(prefix => entry.text.includes(prefix)))
+            .slice(0, this.maxCandidates)
+            .map(entry => ({ ...this.toBook(entry.record), record: entry.record }));
+
+        const ranked = relevanceRanker.rank(candidates, queryText)
+            .filter(book => book.score > 30)
+            .slice(0, limit);
+
+        return { results: ranked.map(book => book.record) };
+    }
+
+    normalize(data) {
+        return (data.results || []).map(record => this.toBook(record));
+    }
+
+    toBook(record) {
+        const authors = (record.authors || []).length > 0
+            ? record.authors.map(author => this.createAuthor(author.name, author))
+            : [this.createAuthor('Unknown Author')];
+        const deathYears = authors.map(author => author.deathYear).filter(Number.isInteger);
+
+        return {
+            id: `gutenberg_${record.id}`,
+            title: record.title || 'Unknown Title',
+            authors,
+            publishYear: null,
+            inferredPublishYear: deathYears.length > 0 ? Math.max(...deathYears) : null,
+            languages: record.languages || [],
+            subjects: [...(record.subjects || []), ...(record.bookshelves || [])],
+            bookshelves: record.bookshelves || [],
+            provenance: {
+                title: 'gutenberg-catalog:title',
+                authors: 'gutenberg-catalog:authors',
+                inferredPublishYear: 'gutenberg-catalog:authors.death_year'
+            },
+            source: 'gutenberg',
+            reliability: 'high',
+            isPublicDomain: true,
+            fromSnapshot: true
+        };
+    }
+
+    // Ids are Project Gutenberg's, so details are fetched from Gutendex
+    ownsId(bookId) {
+        return false;
+    }
+}
+
+// Open Library search, filtered for data quality
+export class OpenLibrarySource extends SourceAdapter {
+    constructor() {
+        super('openlibrary', 'Open Library', { minInterval: 350 });
+    }
+
+    async search(query, { limit = 10, signal, filters = {} } = {}) {
+        return this.fetchJson(this.buildSearchUrl(query, { limit: limit * 2, filters }), signal);
+    }
+
+    // Open Library pages by offset, which is used as the cursor
+    async searchPage(query, { cursor = null, limit = 20, signal, filters = {} } = {}) {
+        const offset = cursor || 0;
+        const data = await this.fetchJson(this.buildSearchUrl(query, { limit, offset, filters }), signal);
+        const fetched = offset + (data.docs?.length || 0);
+
+        return {
+            books: this.normalize(data),
+            nextCursor: data.docs?.length > 0 && fetched < (data.numFound || 0) ? fetched : null
+        };
+    }
+
+    buildSearchUrl(query, { limit, offset = 0, filters = {} }) {
+        const params = new URLSearchParams();
+        const clauses = [query];
+
+        if (filters.yearFrom || filters.yearTo) {
+            clauses.push(`first_publish_year:[${filters.yearFrom || '*'} TO ${filters.yearTo || '*'}]`);
+        }
+
+        const q = clauses.filter(Boolean).join(' ');
+        if (q) params.set('q', q);
+        if (filters.title) params.set('title', filters.title);
+        if (filters.author) params.set('author', filters.author);
+        if (filters.subject) params.set('subject', filters.subject);
+        if (filters.language) params.set('language', SourceAdapter.languageCodes[filters.language] || filters.language);
+        params.set('limit', limit);
+        if (offset) params.set('offset', offset);
+        params.set('fields', 'key,title,author_name,author_key,first_publish_year,publish_year,publish_date,subject,language,isbn,oclc,ia');
+
+        return `https://openlibrary.org/search.json?${params.toString()}`;
+    }
+
+    // Process Open Library results with better filtering
+    normalize(data) {
+        if (!data.docs || !Array.isArray(data.docs)) {
+            return [];
+        }
+
+        return data.docs
+            .map(book => {
+                const { year: publishYear, rejections, candidates } = this.validateYears(book);
+
+                return {
+                    id: book.key,
+                    title: book.title || 'Unknown Title',
+                    authors: book.author_name?.length > 0
+                        ? book.author_name.map((name, index) => this.createAuthor(name, {
+                            key: book.author_key?.[index]
+                        }))
+                        : [this.createAuthor('Unknown Author')],
+                    publishYear,
+                    inferredPublishYear: null,
+                    yearRejections: rejections,
+                    yearCandidates: candidates,
+                    languages: (book.language || []).map(code => this.fromMarcLanguage(code)),
+                    subjects: (book.subject || []).slice(0, 20),
+                    identifiers: {
+                        isbn: (book.isbn || []).slice(0, 10),
+                        oclc: (book.oclc || []).slice(0, 10)
+                    },
+                    // Scans on the Internet Archive; some can only be borrowed
+                    freeEditions: (book.ia || []).slice(0, 5).map(id => ({
+                        label: 'Internet Archive',
+                        url: `https://archive.org/details/${encodeURIComponent(id)}`,
+                        source: 'internetarchive'
+                    })),
+                    provenance: {
+                        title: 'openlibrary:title',
+                        authors: 'openlibrary:author_name',
+                        publishYear: publishYear === book.first_publish_year
+                            ? 'openlibrary:first_publish_year'
+                            : 'openlibrary:publish_year'
+                    },
+                    source: 'openlibrary',
+                    reliability: this.assessReliability(book),
+                    rawData: book // Keep for debugging
+                };
+            })
+            .filter(book => book.reliability !== 'invalid') // Filter out obviously bad data
+            .sort((a, b) => {
+                // Sort by reliability, then by title match
+                if (a.reliability !== b.reliability) {
+                    const reliabilityOrder = { 'high': 3, 'medium': 2, 'low': 1 };
+                    return reliabilityOrder[b.reliability] - reliabilityOrder[a.reliability];
+                }
+                return 0;
+            });
+    }
+
+    fromMarcLanguage(code) {
+        const entry = Object.entries(SourceAdapter.languageCodes).find(([, marc]) => marc === code);
+        return entry ? entry[0] : code;
+    }
+
+    // Get validated publication year with data quality checks
+    getValidatedYear(book) {
+        return this.validateYears(book).year;
+    }
+
+    // The earliest publication year the authors' lifespans allow, and why any earlier
+    // candidate years were discarded. candidates lists every plausible year, oldest first, so
+    // the year can be chosen again once more life dates are known.
+    validateYears(book) {
+        const years = [book.first_publish_year, ...(book.publish_year || [])]
+            .filter(year => year && this.isValidYear(year));
+        const candidates = [...new Set(years)].sort((a, b) => a - b).map(year => ({
+            year,
+            field: year === book.first_publish_year ? 'openlibrary:first_publish_year' : 'openlibrary:publish_year'
+        }));
+        const authors = (book.author_name || []).map(name => ({ name }));
+        const rejections = [];
+
+        for (const { year, field } of candidates) {
+            const rejection = yearRules.check(year, authors, { field, source: this.name });
+
+            if (!rejection) {
+                return { year, rejections, candidates };
+            }
+            rejections.push(rejection);
+        }
+
+        return { year: null, rejections, candidates };
+    }
+
+    // Assess the reliability of Open Library data
+    assessReliability(book) {
+        let score = 0;
+        
+        // Check if title exists and seems reasonable
+        if (book.title && book.title.length > 1 && book.title !== 'Unknown Title') {
+            score += 2;
+        }
+        
+        // Check if authors exist
+        if (book.author_name && book.author_name.length > 0) {
+            score += 2;
+        }
+        
+        // Check if publication year seems valid
+        if (this.getValidatedYear(book)) {
+            score += 3;
+        }
+        
+        // Penalty for suspicious patterns
+        const title = (book.title || '').toLowerCase();
+        if (title.includes('unknown') || title.length < 3) {
+            score -= 2;
+        }
+        
+        // Return reliability category
+        if (score >= 5) return 'high';
+        if (score >= 3) return 'medium';
+        if (score >= 1) return 'low';
+        return 'invalid';
+    }
+
+    // Get the Open Library work record for a book
+    async getDetails(bookId, signal) {
+        return this.fetchJson(`https://openlibrary.org${bookId}.json`, signal);
+    }
+
+    // Work records only reference authors by key, so fetch their names and dates too
+    async lookup(bookId, signal) {
+        const work = await this.getDetails(bookId, signal);
+        const authorKeys = (work.authors || []).map(entry => entry.author?.key).filter(Boolean);
+        const authors = await Promise.all(
+            authorKeys.map(key => this.fetchJson(`https://openlibrary.org${key}.json`, signal).catch(error => {
+                // A missing author record is tolerated, a cancelled lookup is not
+                if (error.name === 'AbortError') throw error;
+                return null;
+            }))
+        );
+
+        return this.normalizeDetails({ ...work, authorRecords: authors.filter(Boolean) });
+    }
+
+    // Map a work record onto the search document shape so the same checks apply
+    normalizeDetails(work) {
+        const firstYear = this.extractEditionYear(work.first_publish_date);
+        const doc = {
+            key: work.key,
+            title: work.title,
+            author_name: (work.authorRecords || []).map(author => author.name),
+            author_key: (work.authorRecords || []).map(author => author.key.replace('/authors/', '')),
+            first_publish_year: firstYear ?? undefined
+        };
+
+        const book = this.normalize({ docs: [doc] })[0];
+        if (!book) return null;
+
+        // Author records carry life dates that search results lack
+        book.authors = book.authors.map((author, index) => {
+            const record = work.authorRecords?.[index];
+            return record ? {
+                ...author,
+                birthYear: this.extractEditionYear(record.birth_date),
+                deathYear: this.extractEditionYear(record.death_date)
+            } : author;
+        });
+
+        return book;
+    }
+
+    // Get the editions of a work, normalized and sorted oldest first
+    async getEditions(workId, limit = 50, signal = null) {
+        const data = await this.fetchJson(`https://openlibrary.org${workId}/editions.json?limit=${limit}`, signal);
+        return this.processEditions(data);
+    }
+
+    // Normalize Open Library edition records
+    processEditions(data) {
+        if (!data.entries || !Array.isArray(data.entries)) {
+            return [];
+        }
+
+        return data.entries
+            .map(edition => ({
+                key: edition.key,
+                title: edition.title || 'Unknown Title',
+                publishers: edition.publishers || [],
+                publishDate: edition.publish_date || null,
+                publishYear: this.extractEditionYear(edition.publish_date),
+                country: edition.publish_country?.trim() || null
+            }))
+            .sort((a, b) => (a.publishYear ?? Infinity) - (b.publishYear ?? Infinity));
+    }
+
+    // Edition dates are free text ("1851", "Oct 18, 1851", "1990-05"), so pull out a plausible year
+    extractEditionYear(publishDate) {
+        const match = (publishDate || '').match(/\b(1[4-9]\d{2}|20\d{2})\b/);
+        if (!match) return null;
+
+        const year = parseInt(match[1], 10);
+        return this.isValidYear(year) ? year : null;
+    }
+
+    // Earliest edition with a verifiable publication year that the authors' lifespans allow
+    findEarliestEdition(editions, authors = []) {
+        return editions.find(edition =>
+            edition.publishYear !== null && !yearRules.check(edition.publishYear, authors, { source: this.name })
+        ) || null;
+    }
+
+    // Map a MARC country code onto a supported jurisdiction code
+    getEditionJurisdiction(country) {
+        if (!country) return null;
+
+        const code = country.toLowerCase();
+        const ukCodes = ['xxk', 'enk', 'stk', 'wlk', 'nik'];
+        const auCodes = ['at', 'aca', 'qea', 'tma', 'vra', 'wea', 'xna', 'xoa', 'xra'];
+        const euCodes = ['fr', 'gw', 'it', 'sp', 'ne', 'be', 'au', 'ie', 'dk', 'sw', 'fi', 'po', 'gr', 'pl'];
+
+        if (code === 'xxu' || (code.length === 3 && code.endsWith('u'))) return 'US';
+        if (ukCodes.includes(code)) return 'UK';
+        if (code === 'xxc' || (code.length === 3 && code.endsWith('c'))) return 'CA';
+        if (auCodes.includes(code)) return 'AU';
+        if (euCodes.includes(code)) return 'EU';
+        return null;
+    }
+
+    ownsId(bookId) {
+        return bookId.startsWith('/works/') || bookId.startsWith('/books/');
+    }
+
+    getRecordUrl(bookId) {
+        return `https://openlibrary.org${bookId}`;
+    }
+}
+
+// HathiTrust volumes, whose rights codes come from human copyright review
+export class HathiTrustSource extends SourceAdapter {
+    constructor() {
+        super('hathitrust', 'HathiTrust', { minInterval: 250 });
+
+        // Rights codes that settle the US status of a volume
+        this.publicDomainCodes = ['pd', 'pdus'];
+        this.copyrightedCodes = ['ic', 'icus', 'ic-world', 'op', 'orph', 'orphcand'];
+    }
+
+    // The Bibliographic API has no free-text search, so only "isbn:..." or "oclc:..." queries return results
+    async search(query, { signal } = {}) {
+        const ids = this.parseIdentifierQuery(query);
+        if (ids.length === 0) {
+            return {};
+        }
+
+        return this.fetchVolumes(ids, signal);
+    }
+
+    parseIdentifierQuery(query) {
+        const match = query.trim().toLowerCase().match(/^(isbn|oclc):\s*([\dx-]+)$/);
+        return match ? [`${match[1]}:${match[2].replace(/-/g, '')}`] : [];
+    }
+
+    // Fetch brief records and items for several identifiers in one request
+    async fetchVolumes(ids, signal) {
+        const url = `https://catalog.hathitrust.org/api/volumes/brief/json/${ids.join('|')}`;
+        return this.fetchJson(url, signal);
+    }
+
+    normalize(data) {
+        const books = [];
+
+        for (const response of Object.values(data || {})) {
+            for (const [recordId, record] of Object.entries(response.records || {})) {
+                const items = (response.items || []).filter(item => item.fromRecord === recordId);
+
+                books.push({
+                    id: `hathitrust_${recordId}`,
+                    title: record.titles?.[0] || 'Unknown Title',
+                    authors: [this.createAuthor('Unknown Author')],
+                    publishYear: this.extractYear(record.publishDates?.[0]),
+                    inferredPublishYear: null,
+                    provenance: {
+                        title: 'hathitrust:titles',
+                        publishYear: 'hathitrust:publishDates'
+                    },
+                    source: 'hathitrust',
+                    reliability: this.assessReliability(record),
+                    rights: this.determineRights([{ record, items }])
+                });
+            }
+        }
+
+        return books;
+    }
+
+    // Catalog records are curated by member libraries
+    assessReliability(record) {
+        return record.publishDates?.length > 0 ? 'high' : 'medium';
+    }
+
+    // Look up volumes for a book's ISBNs and OCLC numbers and derive a rights determination
+    async lookupRights(identifiers, signal = null) {
+        const ids = [
+            ...(identifiers.oclc || []).map(id => `oclc:${id}`),
+            ...(identifiers.isbn || []).map(id => `isbn:${id}`)
+        ];
+
+        if (ids.length === 0) {
+            return { status: 'not_found' };
+        }
+
+        const data = await this.fetchVolumes(ids, signal);
+        const responses = Object.values(data || {}).flatMap(response =>
+            Object.entries(response.records || {}).map(([recordId, record]) => ({
+                record: { ...record, id: recordId },
+                items: (response.items || []).filter(item => item.fromRecord === recordId)
+            }))
+        );
+
+        return this.determineRights(responses);
+    }
+
+    // Pick the decisive volume: any public domain volume, as a reprint cannot be free while the
+    // text is not, otherwise the earliest published volume with a copyright code
+    determineRights(records) {
+        const volumes = records
+            .flatMap(({ record, items }) => items.map(item => ({
+                record,
+                item,
+                publishYear: this.extractYear(record.publishDates?.[0])
+            })))
+            .sort((a, b) => (a.publishYear ?? Infinity) - (b.publishYear ?? Infinity));
+
+        if (volumes.length === 0) {
+            return { status: 'not_found' };
+        }
+
+        const decisive = volumes.find(volume => this.publicDomainCodes.includes(volume.item.rightsCode)) ||
+            volumes.find(volume => this.copyrightedCodes.includes(volume.item.rightsCode));
+        const volume = decisive || volumes[0];
+
+        let status = 'undetermined';
+        if (decisive) {
+            status = this.publicDomainCodes.includes(volume.item.rightsCode) ? 'public_domain' : 'copyrighted';
+        }
+
+        return {
+            status,
+            rightsCode: volume.item.rightsCode,
+            usRightsString: volume.item.usRightsString || null,
+            htid: volume.item.htid,
+            itemURL: volume.item.itemURL,
+            recordURL: volume.record.recordURL || null,
+            title: volume.record.titles?.[0] || null,
+            publishYear: volume.publishYear,
+            volumeCount: volumes.length
+        };
+    }
+
+    extractYear(publishDate) {
+        const match = (publishDate || '').match(/\b(1[4-9]\d{2}|20\d{2})\b/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    async getDetails(bookId, signal) {
+        const id = bookId.replace(/^hathitrust_/, '');
+        return this.fetchJson(`https://catalog.hathitrust.org/api/volumes/brief/recordnumber/${id}.json`, signal);
+    }
+
+    normalizeDetails(data) {
+        return this.normalize({ record: data })[0] || null;
+    }
+
+    ownsId(bookId) {
+        return bookId.startsWith('hathitrust_');
+    }
+
+    getRecordUrl(bookId) {
+        return `https://catalog.hathitrust.org/Record/${bookId.replace(/^hathitrust_/, '')}`;
+    }
+}
@@ -0,0 +1,28 @@
+// Structured record of the facts, rules and source conflicts behind a verdict
+export class VerdictTrace {
+    constructor(evaluationDate = new Date()) {
+        this.evaluationDate = evaluationDate;
+        this.inputs = [];
+        this.rules = [];
+        this.conflicts = [];
+    }
+
+    // A fact used in the decision and where it came from
+    addInput(name, value, { source = null, reliability = null } = {}) {
+        this.inputs.push({ name, value, source, reliability });
+    }
+
+    // outcome is 'applied', 'overridden', 'inconclusive' or 'not_applicable'
+    addRule(id, description, outcome) {
+        this.rules.push({ id, description, outcome });
+    }
+
+    // Two sources disagree about a fact or a status
+    addConflict(description, sources = []) {
+        this.conflicts.push({ description, sources });
+    }
+
+    getAppliedRule() {
+        return this.rules.find(rule => rule.outcome === 'applied') || null;
+    }
+}
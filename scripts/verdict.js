@@ -0,0 +1,290 @@
+import { VerdictTrace } from './trace.js';
+import { copyrightTerms } from './copyright.js';
+import { jurisdictionRules } from './jurisdictions.js';
+import { renewalRecords } from './renewals.js';
+import { bookAPI } from './api.js';
+
+// US public domain verdicts for normalized books. Free of DOM access, so the same
+// verdicts are available to the result panel, batch checks and the command line.
+export class VerdictEngine {
+    constructor() {
+        this.rightsYearTolerance = 2; // Catalog dates for the same first edition often differ by a year or so
+    }
+
+    // Decide the US status, recording the facts and rules used in a VerdictTrace
+    analyze(book, { evaluationDate = new Date() } = {}) {
+        const trace = new VerdictTrace(evaluationDate);
+        this.traceInputs(book, trace);
+
+        const termOptions = {
+            publishYear: book.publishYear,
+            authorDeathYears: book.authors.map(author => author.deathYear ?? null),
+            evaluationDate
+        };
+        let term = copyrightTerms.calculate(termOptions);
+        let renewal = null;
+        let renewed = null;
+
+        // Resolve the renewal question from the user's correction or the renewal records
+        if (term.status === 'renewal_required' && typeof book.renewed === 'boolean') {
+            renewed = book.renewed;
+            trace.addInput('Renewal status', renewed ? 'renewed' : 'not renewed', {
+                source: this.getProvenanceDisplay(book.provenance?.renewed),
+                reliability: 'user-supplied'
+            });
+            term = copyrightTerms.calculate({ ...termOptions, renewed });
+        } else if (term.status === 'renewal_required') {
+            renewal = renewalRecords.lookup(book);
+            renewed = { 'renewal_found': true, 'no_renewal_found': false }[renewal.status] ?? null;
+            trace.addInput('Renewal record lookup', renewal.reason === 'not_loaded' ? 'no records loaded' : renewal.status.replace(/_/g, ' '), {
+                source: renewal.source,
+                reliability: renewal.status === 'ambiguous' ? 'low' : null
+            });
+
+            if (renewed !== null) {
+                term = copyrightTerms.calculate({ ...termOptions, renewed });
+            }
+        }
+
+        // If this is from Project Gutenberg, it's definitely public domain
+        if (book.source === 'gutenberg' || book.isPublicDomain) {
+            trace.addRule('source-confirmed', `${this.getSourceDisplay(book.source)} only lists public domain works.`, 'applied');
+            trace.addRule(term.rule.id, term.rule.description, 'overridden');
+
+            return {
+                status: 'Public Domain',
+                cssClass: 'status-public-domain',
+                explanation: 'This book is confirmed to be in the public domain.',
+                additionalInfo: book.source === 'gutenberg' ? 
+                    'This book is available on Project Gutenberg, which only hosts public domain works.' : 
+                    'You can freely use, copy, and distribute this work.',
+                trace
+            };
+        }
+
+        trace.addRule('source-confirmed', 'The data source does not confirm public domain status.', 'not_applicable');
+
+        // HathiTrust rights codes come from human copyright review and outrank year-based rules
+        if (this.isRightsDecisive(book, book.rights)) {
+            trace.addRule('hathitrust-rights', `HathiTrust rights code "${book.rights.rightsCode}" on volume ${book.rights.htid}.`, 'applied');
+            trace.addRule(term.rule.id, term.rule.description, 'overridden');
+
+            const termIsPublicDomain = term.status === 'public_domain';
+            const rightsIsPublicDomain = book.rights.status === 'public_domain';
+            if (['public_domain', 'copyrighted'].includes(term.status) && termIsPublicDomain !== rightsIsPublicDomain) {
+                trace.addConflict(
+                    `HathiTrust says this volume is ${rightsIsPublicDomain ? 'public domain' : 'in copyright'}, but the publication-year rules say it is ${termIsPublicDomain ? 'public domain' : 'in copyright'}.`,
+                    ['hathitrust', book.source]
+                );
+            }
+
+            return { ...this.describeRights(book.rights), trace };
+        }
+
+        trace.addRule(
+            'hathitrust-rights',
+            this.describeRightsNotUsed(book, book.rights),
+            'not_applicable'
+        );
+        trace.addRule(term.rule.id, term.rule.description, ['renewal_required', 'unknown'].includes(term.status) ? 'inconclusive' : 'applied');
+
+        return { ...this.describeTerm(term), renewal, renewed, trace };
+    }
+
+    // Record the facts a verdict depends on, with their source and reliability
+    traceInputs(book, trace) {
+        const provenance = book.provenance || {};
+
+        trace.addInput('Publication year', book.publishYear ?? 'Unknown', {
+            source: provenance.publishYear ? this.getProvenanceDisplay(provenance.publishYear) : this.getSourceDisplay(book.source),
+            reliability: book.publishYear ? this.getReliability(book, provenance.publishYear) : null
+        });
+
+        (book.yearRejections || []).forEach(rejection => {
+            trace.addInput('Discarded publication year', `${rejection.year}: ${rejection.reason}`, {
+                source: rejection.field ? this.getProvenanceDisplay(rejection.field) : null,
+                reliability: 'rejected'
+            });
+        });
+
+        (book.yearWarnings || []).filter(warning => warning.year === book.publishYear).forEach(warning => {
+            trace.addInput('Publication year warning', `${warning.year}: ${warning.reason}`, {
+                source: warning.field ? this.getProvenanceDisplay(warning.field) : null,
+                reliability: 'low'
+            });
+        });
+
+        if (book.inferredPublishYear) {
+            trace.addInput('Estimated publication year', book.inferredPublishYear, {
+                source: this.getProvenanceDisplay(provenance.inferredPublishYear),
+                reliability: 'estimate'
+            });
+        }
+
+        book.authors.forEach(author => {
+            if (author.userSupplied) {
+                trace.addInput(`${author.name} - death year`, author.deathYear, {
+                    source: this.getSourceDisplay('user'),
+                    reliability: 'user-supplied'
+                });
+                return;
+            }
+
+            trace.addInput(`${author.name} - death year`, author.deathYear ?? 'Unknown', {
+                source: provenance.authorDeathYears ? this.getSourceDisplay(provenance.authorDeathYears.split(':')[0]) : this.getSourceDisplay(book.source),
+                reliability: author.deathYear ? book.reliability : null
+            });
+        });
+
+        if (book.countryOfOrigin) {
+            trace.addInput('Country of first publication', jurisdictionRules.getJurisdictionName(book.countryOfOrigin), {
+                source: this.getProvenanceDisplay(provenance.countryOfOrigin || 'openlibrary:edition.publish_date'),
+                reliability: this.getReliability(book, provenance.countryOfOrigin)
+            });
+        }
+
+        if (book.rights && book.rights.status !== 'not_found') {
+            trace.addInput('HathiTrust rights code', book.rights.rightsCode, {
+                source: `HathiTrust volume ${book.rights.htid}`,
+                reliability: 'authoritative'
+            });
+        }
+
+        if (book.records) {
+            trace.addInput('Matching records', book.records.map(record => `${this.getSourceDisplay(record.source)} ${record.id}`).join(', '));
+        }
+
+        trace.addInput('Evaluation date', trace.evaluationDate.toLocaleDateString());
+
+        // Sources disagreeing about the publication year
+        const searchYear = book.rawData?.first_publish_year;
+        if (book.selectedEdition && searchYear && searchYear !== book.publishYear) {
+            trace.addConflict(
+                `Open Library lists first publication as ${searchYear}, but the selected edition was published in ${book.publishYear}.`,
+                ['openlibrary']
+            );
+        }
+
+        (book.records || [])
+            .filter(record => record.publishYear && book.publishYear && Math.abs(record.publishYear - book.publishYear) > 1)
+            .forEach(record => {
+                trace.addConflict(
+                    `${this.getSourceDisplay(record.source)} record ${record.id} gives ${record.publishYear}, but ${book.publishYear} was used.`,
+                    [record.source, book.source]
+                );
+            });
+
+        if (book.rights?.publishYear && book.publishYear && Math.abs(book.rights.publishYear - book.publishYear) > 1) {
+            trace.addConflict(
+                `The HathiTrust volume is dated ${book.rights.publishYear}, but ${this.getSourceDisplay(book.source)} gives ${book.publishYear}.`,
+                ['hathitrust', book.source]
+            );
+        }
+    }
+
+    // Map a HathiTrust rights determination onto the status shown in the result panel
+    // A public domain code always decides, since a reprint cannot be free while the text is not.
+    // A copyright code only decides for a volume of the first publication: a later edition can be
+    // in copyright for its own introduction or notes while the work itself is not.
+    isRightsDecisive(book, rights) {
+        if (rights?.status === 'public_domain') return true;
+        if (rights?.status !== 'copyrighted') return false;
+
+        return Boolean(book.publishYear && rights.publishYear) &&
+            Math.abs(rights.publishYear - book.publishYear) <= this.rightsYearTolerance;
+    }
+
+    // Why a HathiTrust rights code did not decide the verdict
+    describeRightsNotUsed(book, rights) {
+        if (rights?.status === 'copyrighted') {
+            const volumeYear = rights.publishYear ? `from ${rights.publishYear} ` : '';
+            return book.publishYear
+                ? `HathiTrust volume ${rights.htid} ${volumeYear}is in copyright, but it is a later edition than the first publication in ${book.publishYear}, so its code does not decide the status of the work.`
+                : `HathiTrust volume ${rights.htid} is in copyright, but without a first publication year it cannot be matched to the first edition.`;
+        }
+
+        return rights?.status === 'undetermined'
+            ? 'HathiTrust has not made a rights determination for this volume.'
+            : 'No HathiTrust volume was found for this book.';
+    }
+
+    describeRights(rights) {
+        const isPublicDomain = rights.status === 'public_domain';
+
+        return {
+            status: isPublicDomain ? 'Public Domain' : 'Copyrighted',
+            cssClass: isPublicDomain ? 'status-public-domain' : 'status-copyrighted',
+            explanation: `HathiTrust copyright reviewers assigned the rights code "${rights.rightsCode}" to volume ${rights.htid}, which takes precedence over publication-year rules.`,
+            additionalInfo: isPublicDomain
+                ? 'You can freely use, copy, and distribute this work in the United States.'
+                : 'HathiTrust has determined that this volume is still in copyright.',
+            rights
+        };
+    }
+
+    // Map a copyright term result onto the status shown in the result panel
+    describeTerm(term) {
+        const display = {
+            'public_domain': {
+                status: 'Public Domain',
+                cssClass: 'status-public-domain',
+                additionalInfo: 'You can freely use, copy, and distribute this work.'
+            },
+            'renewal_required': {
+                status: 'Possibly Copyrighted',
+                cssClass: 'status-unknown',
+                additionalInfo: 'Check the U.S. Copyright Office renewal records or consult a legal expert for certainty.'
+            },
+            'copyrighted': {
+                status: 'Copyrighted',
+                cssClass: 'status-copyrighted',
+                additionalInfo: term.publicDomainYear ? `This work is expected to enter the US public domain on January 1, ${term.publicDomainYear}.` : null
+            },
+            'likely_copyrighted': {
+                status: 'Likely Copyrighted',
+                cssClass: 'status-copyrighted',
+                additionalInfo: 'Check the author\'s death year to determine exactly when this work will enter the public domain.'
+            },
+            'unknown': {
+                status: 'Unknown',
+                cssClass: 'status-unknown',
+                additionalInfo: 'You may need to research this book manually to determine its copyright status.'
+            }
+        };
+
+        return {
+            ...display[term.status],
+            explanation: term.rule.description,
+            term
+        };
+    }
+
+    // Facts the user corrected are marked as such rather than carrying the record's reliability
+    getReliability(book, provenance) {
+        return provenance?.startsWith('user:') ? 'user-supplied' : book.reliability;
+    }
+
+    getProvenanceDisplay(provenance) {
+        const fields = {
+            'gutenberg:authors.death_year': 'the author\'s death year on Project Gutenberg',
+            'gutenberg-catalog:authors.death_year': 'the author\'s death year in the offline Project Gutenberg catalog',
+            'openlibrary:first_publish_year': 'Open Library first publication year',
+            'openlibrary:publish_year': 'earliest Open Library edition year',
+            'openlibrary:edition.publish_date': 'selected Open Library edition',
+            'hathitrust:publishDates': 'HathiTrust catalog record',
+            'overrides:publishYear': 'a correction in the year overrides file',
+            'user:publishYear': 'entered by you',
+            'user:countryOfOrigin': 'entered by you',
+            'user:renewed': 'entered by you'
+        };
+        return fields[provenance] || provenance;
+    }
+
+    getSourceDisplay(source) {
+        if (source === 'user') return 'Entered by you';
+        return bookAPI.getSource(source)?.displayName || source;
+    }
+}
+
+// Create global instance
+export const verdictEngine = new VerdictEngine();
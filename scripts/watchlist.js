@@ -0,0 +1,312 @@
+// Saved books that are still copyrighted, tracked until they enter the public domain
+export class Watchlist {
+    constructor() {
+        this.storageKey = 'pd-watchlist';
+        this.entries = [];
+        this.container = null;
+        this.importInput = null;
+        this.onOpenBook = null;
+    }
+
+    init() {
+        this.container = document.getElementById('watchlist-entries');
+        this.importInput = document.getElementById('watchlist-import');
+        const exportButton = document.getElementById('watchlist-export');
+
+        this.load();
+
+        if (!this.container) {
+            console.error('Required watchlist elements not found');
+            return;
+        }
+
+        exportButton.addEventListener('click', () => {
+            this.download();
+        });
+
+        this.importInput.addEventListener('change', async () => {
+            const file = this.importInput.files[0];
+            if (!file) return;
+
+            try {
+                this.importJson(await file.text());
+                this.render();
+            } catch (error) {
+                console.error('Error importing watchlist:', error);
+                this.container.insertAdjacentHTML('afterbegin', '<p class="watchlist-error">The watchlist file could not be read.</p>');
+            } finally {
+                this.importInput.value = '';
+            }
+        });
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            this.entries = Array.isArray(stored)
+                ? stored.filter(entry => this.isValidEntry(entry)).map(entry => this.sanitizeEntry(entry))
+                : [];
+        } catch (error) {
+            console.warn('Stored watchlist is unreadable, starting empty:', error);
+            this.entries = [];
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+    }
+
+    has(bookId) {
+        return this.entries.some(entry => entry.book.id === bookId);
+    }
+
+    // Save a book with the verdict it had when it was added
+    add(book, verdict) {
+        const { rawData, ...storedBook } = book;
+
+        this.entries = this.entries.filter(entry => entry.book.id !== book.id);
+        this.entries.push({
+            book: storedBook,
+            status: verdict.status,
+            expiryYear: verdict.term?.expiryYear ?? null,
+            publicDomainYear: verdict.term?.publicDomainYear ?? null,
+            addedAt: new Date().toISOString()
+        });
+        this.save();
+    }
+
+    remove(bookId) {
+        this.entries = this.entries.filter(entry => entry.book.id !== bookId);
+        this.save();
+    }
+
+    // Entries sorted by expiry, soonest first; unknown expiries go last
+    getSorted(evaluationDate = new Date()) {
+        const year = evaluationDate.getFullYear();
+
+        return [...this.entries]
+            .map(entry => ({
+                ...entry,
+                newlyPublicDomain: entry.publicDomainYear !== null &&
+                    entry.publicDomainYear <= year &&
+                    entry.status !== 'Public Domain'
+            }))
+            .sort((a, b) => (a.expiryYear ?? Infinity) - (b.expiryYear ?? Infinity));
+    }
+
+    exportJson() {
+        return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), entries: this.entries }, null, 2);
+    }
+
+    // Merge imported entries, replacing any saved entry for the same book
+    importJson(text) {
+        const data = JSON.parse(text);
+        const imported = Array.isArray(data) ? data : data.entries;
+
+        if (!Array.isArray(imported)) {
+            throw new Error('Watchlist file must contain a list of entries');
+        }
+
+        const invalid = imported.findIndex(entry => !this.isValidEntry(entry));
+        if (invalid !== -1) {
+            throw new Error(`Watchlist entry ${invalid + 1} needs a book with an id, title and authors, a status, and whole-number years`);
+        }
+
+        const entries = imported.map(entry => this.sanitizeEntry(entry));
+        const importedIds = new Set(entries.map(entry => entry.book.id));
+        this.entries = [...this.entries.filter(entry => !importedIds.has(entry.book.id)), ...entries];
+        this.save();
+    }
+
+    // Whether an entry has everything render() and the result panel read from it
+    isValidEntry(entry) {
+        const book = entry?.book;
+        const isYear = value => value === null || value === undefined || Number.isInteger(value);
+
+        return Boolean(book) &&
+            typeof book.id === 'string' && book.id !== '' &&
+            typeof book.title === 'string' &&
+            Array.isArray(book.authors) &&
+            book.authors.every(author => typeof author?.name === 'string') &&
+            typeof entry.status === 'string' &&
+            isYear(entry.expiryYear) &&
+            isYear(entry.publicDomainYear);
+    }
+
+    // A copy of an entry holding only the fields the watchlist and result panel read, each of
+    // the expected type. Imported files are untrusted, so anything else is dropped: years must
+    // be whole numbers and links must be http(s).
+    sanitizeEntry(entry) {
+        return {
+            book: this.sanitizeBook(entry.book),
+            status: entry.status,
+            expiryYear: this.toYear(entry.expiryYear),
+            publicDomainYear: this.toYear(entry.publicDomainYear),
+            addedAt: this.toText(entry.addedAt)
+        };
+    }
+
+    sanitizeBook(book) {
+        const yearNote = note => ({
+            year: this.toYear(note?.year),
+            field: this.toText(note?.field),
+            reason: this.toText(note?.reason) || '',
+            lifespanSource: this.toText(note?.lifespanSource)
+        });
+        const edition = book.selectedEdition;
+
+        return {
+            ...this.sanitizeRecord(book),
+            languages: this.toTexts(book.languages),
+            subjects: this.toTexts(book.subjects),
+            bookshelves: this.toTexts(book.bookshelves),
+            coverImage: this.toUrl(book.coverImage),
+            downloadCount: Number.isInteger(book.downloadCount) ? book.downloadCount : null,
+            freeEditions: (Array.isArray(book.freeEditions) ? book.freeEditions : [])
+                .filter(entry => this.toUrl(entry?.url))
+                .map(entry => ({ label: this.toText(entry.label) || 'Download', url: entry.url, source: this.toText(entry.source) })),
+            countryOfOrigin: /^[A-Z]{2}$/.test(book.countryOfOrigin) ? book.countryOfOrigin : null,
+            selectedEdition: edition && typeof edition === 'object' ? {
+                key: this.toText(edition.key),
+                title: this.toText(edition.title),
+                publishers: this.toTexts(edition.publishers),
+                publishDate: this.toText(edition.publishDate),
+                publishYear: this.toYear(edition.publishYear),
+                country: this.toText(edition.country)
+            } : null,
+            yearRejections: (Array.isArray(book.yearRejections) ? book.yearRejections : []).map(yearNote),
+            yearWarnings: (Array.isArray(book.yearWarnings) ? book.yearWarnings : []).map(yearNote),
+            records: Array.isArray(book.records)
+                ? book.records.filter(record => typeof record?.id === 'string').map(record => this.sanitizeRecord(record))
+                : undefined
+        };
+    }
+
+    // Facts shared by a book and the source record summaries merged into it
+    sanitizeRecord(record) {
+        return {
+            id: record.id,
+            source: this.toText(record.source),
+            title: this.toText(record.title) || 'Unknown Title',
+            authors: (Array.isArray(record.authors) ? record.authors : [])
+                .filter(author => typeof author?.name === 'string')
+                .map(author => ({
+                    name: author.name,
+                    birthYear: this.toYear(author.birthYear),
+                    deathYear: this.toYear(author.deathYear),
+                    key: this.toText(author.key)
+                })),
+            publishYear: this.toYear(record.publishYear),
+            inferredPublishYear: this.toYear(record.inferredPublishYear),
+            identifiers: record.identifiers ? {
+                isbn: this.toTexts(record.identifiers.isbn),
+                oclc: this.toTexts(record.identifiers.oclc)
+            } : null,
+            provenance: Object.fromEntries(
+                Object.entries(record.provenance || {}).filter(([, value]) => typeof value === 'string')
+            ),
+            reliability: ['high', 'medium', 'low'].includes(record.reliability) ? record.reliability : 'low',
+            isPublicDomain: record.isPublicDomain === true
+        };
+    }
+
+    toText(value) {
+        return typeof value === 'string' ? value : null;
+    }
+
+    toTexts(value) {
+        return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+    }
+
+    toYear(value) {
+        return Number.isInteger(value) ? value : null;
+    }
+
+    toUrl(value) {
+        return typeof value === 'string' && /^https?:\/\//i.test(value) ? value : null;
+    }
+
+    download() {
+        const url = URL.createObjectURL(new Blob([this.exportJson()], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'public-domain-watchlist.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const entries = this.getSorted();
+
+        if (entries.length === 0) {
+            this.container.innerHTML = '<p>No books are being watched. Use "Watch" on a result to add one.</p>';
+            return;
+        }
+
+        this.container.innerHTML = `
+            <table class="watchlist-table">
+                <thead>
+                    <tr><th>Book</th><th>Public Domain From</th><th>Status When Added</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr class="${entry.newlyPublicDomain ? 'newly-public-domain' : ''}">
+                            <td>
+                                <a href="#" class="watchlist-open" data-id="${this.escapeAttribute(entry.book.id)}">${this.escapeHtml(entry.book.title)}</a>
+                                <small>${this.escapeHtml(entry.book.authors.map(author => author.name).join(', '))}</small>
+                            </td>
+                            <td>
+                                ${entry.publicDomainYear ? `January 1, ${entry.publicDomainYear}` : 'Unknown'}
+                                ${entry.newlyPublicDomain ? '<strong>Newly public domain</strong>' : ''}
+                            </td>
+                            <td>${this.escapeHtml(entry.status)}</td>
+                            <td><button type="button" class="watchlist-remove" data-id="${this.escapeAttribute(entry.book.id)}">Remove</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.bindEntryEvents();
+    }
+
+    bindEntryEvents() {
+        this.container.querySelectorAll('.watchlist-open').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const entry = this.entries.find(candidate => candidate.book.id === link.dataset.id);
+                if (entry && this.onOpenBook) {
+                    this.onOpenBook(entry.book);
+                }
+            });
+        });
+
+        this.container.querySelectorAll('.watchlist-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.remove(button.dataset.id);
+                this.render();
+            });
+        });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // escapeHtml leaves quotes alone, which is only safe outside attributes
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // Set callback for when a watched book is opened
+    setOpenBookCallback(callback) {
+        this.onOpenBook = callback;
+    }
+}
+
+// Create global instance
+export const watchlist = new Watchlist();
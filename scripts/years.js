@@ -0,0 +1,196 @@
+import { workMerger } from './merge.js';
+
+// Sanity rules for publication years, based on the lifespans of the authors. Life dates come
+// from the sources (Gutendex and Open Library author records), from other records in the same
+// result set, and from a user-editable overrides file that also holds known year corrections.
+export class PublicationYearRules {
+    constructor() {
+        this.minAuthorAge = 10;        // Nothing is published before the author is this old
+        this.maxPosthumousYears = 30;  // Later first editions are flagged as possible reprints
+        this.maxLifespan = 110;        // Bounds birth when only the death year is known
+
+        this.authorOverrides = new Map();
+        this.workOverrides = new Map();  // work key -> correction
+        this.overridesSource = null;
+    }
+
+    // Load the bundled overrides file shipped with the app
+    async loadFromUrl(url) {
+        try {
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`Year overrides error: ${response.status}`);
+            }
+
+            this.loadOverrides(await response.json());
+        } catch (error) {
+            console.warn('Year overrides could not be loaded:', error);
+        }
+    }
+
+    // Overrides format: { source, maxPosthumousYears, authors: [{ name, birthYear, deathYear }],
+    // works: [{ title, author, publishYear, note }] }
+    loadOverrides(data) {
+        this.overridesSource = data?.source || 'Year overrides';
+        if (Number.isInteger(data?.maxPosthumousYears)) {
+            this.maxPosthumousYears = data.maxPosthumousYears;
+        }
+        this.authorOverrides = new Map((data?.authors || []).map(author => [
+            workMerger.normalizeAuthor(author.name),
+            { birthYear: author.birthYear ?? null, deathYear: author.deathYear ?? null, source: this.overridesSource }
+        ]));
+        this.workOverrides = new Map((data?.works || []).map(work => [
+            workMerger.workKey({ title: work.title, authors: [{ name: work.author }] }),
+            { publishYear: work.publishYear, note: work.note || null }
+        ]));
+    }
+
+    // Life dates given by the records of one result set, so records without dates can be checked
+    // against the others. Authors whose records disagree are left out, which keeps the outcome
+    // independent of the order of the records.
+    learnLifespans(books) {
+        const lifespans = new Map(); // normalized author name -> life dates, or null when records disagree
+
+        books.forEach(book => book.authors.forEach(author => {
+            if (!author.birthYear && !author.deathYear) return;
+
+            const key = workMerger.normalizeAuthor(author.name);
+            const dates = { birthYear: author.birthYear ?? null, deathYear: author.deathYear ?? null, source: book.source };
+            const known = lifespans.get(key);
+
+            if (known === undefined) {
+                lifespans.set(key, dates);
+            } else if (known && (known.birthYear !== dates.birthYear || known.deathYear !== dates.deathYear)) {
+                lifespans.set(key, null);
+            }
+        }));
+
+        return lifespans;
+    }
+
+    // Overrides win over the record's own dates, which win over dates from the result set.
+    // source names the source of the record the author belongs to.
+    getLifespan(author, source = null, lifespans = null) {
+        const key = workMerger.normalizeAuthor(author.name);
+        const override = this.authorOverrides.get(key);
+        if (override) return override;
+
+        if (author.birthYear || author.deathYear) {
+            return { birthYear: author.birthYear ?? null, deathYear: author.deathYear ?? null, source };
+        }
+
+        return lifespans?.get(key) || null;
+    }
+
+    // Check a year against the first listed author with known life dates, who is normally the
+    // writer rather than an editor or translator. Returns a rejection, or null if the year is possible.
+    check(year, authors = [], { field = null, source = null, lifespans = null } = {}) {
+        const author = authors.find(candidate => this.getLifespan(candidate, source, lifespans));
+        if (!year || !author) return null;
+
+        const { birthYear, deathYear, source: lifespanSource } = this.getLifespan(author, source, lifespans);
+        const reject = reason => ({ year, field, reason, lifespanSource });
+
+        if (birthYear && year < birthYear + this.minAuthorAge) {
+            return reject(`${author.name} was born in ${birthYear}`);
+        }
+
+        if (!birthYear && deathYear && year < deathYear - this.maxLifespan) {
+            return reject(`${author.name} died in ${deathYear}, too long after this date to have written the work`);
+        }
+
+        return null;
+    }
+
+    // Flag a possible but unlikely year: works do appear long after the author's death, so a late
+    // year is kept, but it may be a later edition. Returns a warning, or null.
+    flag(year, authors = [], { field = null, source = null, lifespans = null } = {}) {
+        const author = authors.find(candidate => this.getLifespan(candidate, source, lifespans)?.deathYear);
+        if (!year || !author) return null;
+
+        const { deathYear, source: lifespanSource } = this.getLifespan(author, source, lifespans);
+        if (year <= deathYear + this.maxPosthumousYears) return null;
+
+        return {
+            year,
+            field,
+            reason: `${author.name} died in ${deathYear}, so this may be a later edition rather than the first publication`,
+            lifespanSource
+        };
+    }
+
+    // The record's next candidate year after the rejected one that the life dates allow, recording
+    // the candidates they rule out on the book. Null when none is left.
+    nextCandidate(book, lifespans) {
+        const later = (book.yearCandidates || []).filter(candidate => candidate.year > book.publishYear);
+
+        for (const candidate of later) {
+            const rejection = this.check(candidate.year, book.authors, { field: candidate.field, source: book.source, lifespans });
+            if (!rejection) return candidate;
+
+            book.yearRejections.push(rejection);
+        }
+
+        return null;
+    }
+
+    // Review every book of a result set against the life dates the set provides
+    reviewAll(books) {
+        const lifespans = this.learnLifespans(books);
+        return books.map(book => this.review(book, lifespans));
+    }
+
+    // Apply corrections and discard an impossible publication year, recording why on the book.
+    // lifespans holds life dates from the rest of the result set, if any.
+    review(book, lifespans = null) {
+        const reviewed = {
+            ...book,
+            provenance: { ...book.provenance },
+            yearRejections: [...(book.yearRejections || [])],
+            yearWarnings: []
+        };
+        const correction = this.workOverrides.get(workMerger.workKey(book));
+
+        if (correction) {
+            if (book.publishYear && book.publishYear !== correction.publishYear) {
+                reviewed.yearRejections.push({
+                    year: book.publishYear,
+                    field: book.provenance?.publishYear || null,
+                    reason: correction.note || `corrected to ${correction.publishYear}`,
+                    lifespanSource: this.overridesSource
+                });
+            }
+            reviewed.publishYear = correction.publishYear;
+            reviewed.provenance.publishYear = 'overrides:publishYear';
+            return reviewed;
+        }
+
+        const options = { field: book.provenance?.publishYear || null, source: book.source, lifespans };
+        const rejection = this.check(book.publishYear, book.authors, options);
+        if (rejection) {
+            reviewed.yearRejections.push(rejection);
+
+            const fallback = this.nextCandidate(reviewed, lifespans);
+            if (!fallback) {
+                reviewed.publishYear = null;
+                delete reviewed.provenance.publishYear;
+                return reviewed;
+            }
+
+            reviewed.publishYear = fallback.year;
+            reviewed.provenance.publishYear = fallback.field;
+            options.field = fallback.field;
+        }
+
+        const warning = this.flag(reviewed.publishYear, book.authors, options);
+        if (warning) {
+            reviewed.yearWarnings.push(warning);
+        }
+
+        return reviewed;
+    }
+}
+
+// Create global instance
+export const yearRules = new PublicationYearRules();
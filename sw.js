@@ -0,0 +1,117 @@
+// Service worker: keeps the app shell available offline and falls back to
+// previously fetched API responses when the network is unreachable.
+// Bump CACHE_VERSION when the shell file list changes.
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const API_CACHE = `api-${CACHE_VERSION}`;
+const MAX_API_ENTRIES = 300;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles/styles.css',
+    'styles/print.css',
+    'scripts/trace.js',
+    'scripts/copyright.js',
+    'scripts/jurisdictions.js',
+    'scripts/renewals.js',
+    'scripts/cache.js',
+    'scripts/corrections.js',
+    'scripts/http.js',
+    'scripts/sources.js',
+    'scripts/api.js',
+    'scripts/ranking.js',
+    'scripts/merge.js',
+    'scripts/search.js',
+    'scripts/results.js',
+    'scripts/batch.js',
+    'scripts/watchlist.js',
+    'scripts/router.js',
+    'scripts/report.js',
+    'scripts/verdict.js',
+    'scripts/years.js',
+    'scripts/app.js',
+    'data/renewals.json',
+    'data/year-overrides.json',
+    'data/gutenberg-catalog.json'
+];
+
+const API_HOSTS = ['gutendex.com', 'openlibrary.org', 'catalog.hathitrust.org'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (API_HOSTS.includes(url.hostname)) {
+        event.respondWith(networkFirst(request, API_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+// API data: always try the network, and keep a copy for when it is unreachable
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            trimCache(cache, MAX_API_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Shell files: answer from the cache straight away and refresh it in the background
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+
+    return cached || refresh;
+}
+
+// Remove the oldest entries beyond the limit; cache keys are kept in insertion order
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
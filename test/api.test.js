@@ -0,0 +1,231 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { BookAPI } from '../scripts/api.js';
+import { PersistentCache } from '../scripts/cache.js';
+import { OpenLibrarySource } from '../scripts/sources.js';
+import { HttpClient } from '../scripts/http.js';
+import { yearRules } from '../scripts/years.js';
+import { stubFetch, readFixture } from './support/fetch-stub.js';
+
+const gutendexSearch = 'https://gutendex.com/books/?search=Moby+Dick';
+const openLibrarySearch = 'https://openlibrary.org/search.json?q=Moby+Dick';
+
+function createAPI() {
+    return new BookAPI({ cache: new PersistentCache(), fallback: null });
+}
+
+function book(id, title, authorName, extra = {}) {
+    return {
+        id,
+        title,
+        authors: [{ name: authorName, birthYear: null, deathYear: null }],
+        provenance: {},
+        source: 'openlibrary',
+        reliability: 'high',
+        ...extra
+    };
+}
+
+describe('BookAPI.searchBooks', () => {
+    let fetchStub;
+
+    afterEach(() => {
+        fetchStub.restore();
+    });
+
+    test('merges the Gutenberg and Open Library records of a work', async () => {
+        fetchStub = stubFetch({
+            [gutendexSearch]: 'gutendex-moby-dick.json',
+            [openLibrarySearch]: 'openlibrary-moby-dick.json'
+        });
+
+        const result = await createAPI().searchBooks('Moby Dick');
+        const moby = result.books.find(entry => entry.records?.length > 1);
+
+        assert.equal(result.books.length, 2);
+        assert.deepEqual(moby.records.map(record => record.id).sort(), ['/works/OL102749W', 'gutenberg_2701']);
+        assert.equal(moby.isPublicDomain, true);
+        assert.equal(moby.publishYear, 1851);
+        assert.equal(moby.provenance.publishYear, 'openlibrary:first_publish_year');
+        assert.equal(moby.authors[0].deathYear, 1891);
+        assert.deepEqual(moby.identifiers.isbn, ['9780142437247']);
+        assert.ok(result.sources.every(source => source.status === 'ok'));
+    });
+
+    test('falls back to the next year the merged life dates allow', async () => {
+        const openLibrary = readFixture('openlibrary-moby-dick.json');
+        openLibrary.docs[0].publish_year = [1750, ...openLibrary.docs[0].publish_year];
+        fetchStub = stubFetch({
+            [gutendexSearch]: 'gutendex-moby-dick.json',
+            [openLibrarySearch]: openLibrary
+        });
+
+        const result = await createAPI().searchBooks('Moby Dick');
+        const moby = result.books.find(entry => entry.records?.length > 1);
+
+        assert.equal(moby.publishYear, 1851);
+        assert.equal(moby.provenance.publishYear, 'openlibrary:first_publish_year');
+        assert.deepEqual(moby.yearRejections.map(rejection => rejection.year), [1750]);
+    });
+
+    test('reports a failed source and does not cache partial results', async () => {
+        fetchStub = stubFetch({ [gutendexSearch]: 'gutendex-moby-dick.json' });
+        const api = createAPI();
+
+        const result = await api.searchBooks('Moby Dick');
+        const openLibrary = result.sources.find(source => source.name === 'openlibrary');
+
+        assert.equal(openLibrary.status, 'error');
+        assert.equal(openLibrary.message, 'Open Library API error: 404');
+        assert.deepEqual(result.books.map(entry => entry.id), ['gutenberg_2701']);
+
+        await api.searchBooks('Moby Dick');
+        assert.equal(fetchStub.requests.filter(url => url.startsWith(gutendexSearch)).length, 2);
+    });
+});
+
+describe('HttpClient.getJson', () => {
+    let realFetch;
+
+    beforeEach(() => {
+        realFetch = globalThis.fetch;
+    });
+
+    afterEach(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    test('times out when the body stalls after the headers arrive', async () => {
+        // Headers arrive at once, but the body never finishes until the request is aborted
+        globalThis.fetch = async (url, { signal }) => new Response(new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('{"docs": ['));
+                signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+            }
+        }), { status: 200 });
+
+        await assert.rejects(
+            new HttpClient().getJson('https://openlibrary.org/search.json?q=x', { timeout: 50, label: 'Open Library' }),
+            { name: 'HttpError', kind: 'timeout' }
+        );
+    });
+});
+
+describe('OpenLibrarySource year validation', () => {
+    const source = new OpenLibrarySource();
+
+    beforeEach(() => {
+        yearRules.loadOverrides({ authors: [{ name: 'Melville, Herman', birthYear: 1819, deathYear: 1891 }] });
+    });
+
+    afterEach(() => {
+        yearRules.loadOverrides({});
+    });
+
+    test('uses the earliest year the author could have published in', () => {
+        const doc = { title: 'Moby Dick', author_name: ['Herman Melville'], first_publish_year: 1851, publish_year: [1500, 1851, 1892] };
+        const { year, rejections } = source.validateYears(doc);
+
+        assert.equal(year, 1851);
+        assert.equal(source.getValidatedYear(doc), 1851);
+        assert.deepEqual(rejections.map(rejection => rejection.year), [1500]);
+        assert.match(rejections[0].reason, /born in 1819/);
+        assert.equal(rejections[0].field, 'openlibrary:publish_year');
+    });
+
+    test('ignores years in the future or before printing', () => {
+        const nextYear = new Date().getFullYear() + 1;
+
+        assert.equal(source.getValidatedYear({ first_publish_year: nextYear, publish_year: [1200] }), null);
+    });
+});
+
+describe('OpenLibrarySource.assessReliability', () => {
+    const source = new OpenLibrarySource();
+
+    test('rates records by the facts they carry', () => {
+        assert.equal(source.assessReliability({ title: 'Moby Dick', author_name: ['Herman Melville'], first_publish_year: 1851 }), 'high');
+        assert.equal(source.assessReliability({ title: 'Moby Dick', author_name: ['Herman Melville'] }), 'medium');
+        assert.equal(source.assessReliability({ title: 'Moby Dick' }), 'low');
+        assert.equal(source.assessReliability({ title: 'Unknown', author_name: ['Anonymous'] }), 'low');
+        assert.equal(source.assessReliability({}), 'invalid');
+    });
+});
+
+describe('BookAPI.deduplicateBooks', () => {
+    const api = createAPI();
+
+    test('merges records whose author is written differently', () => {
+        const merged = api.deduplicateBooks([
+            book('gutenberg_1661', 'The Adventures of Sherlock Holmes', 'Doyle, Arthur Conan', { source: 'gutenberg' }),
+            book('/works/OL262421W', 'Adventures of Sherlock Holmes', 'Arthur Conan Doyle', { publishYear: 1892 })
+        ]);
+
+        assert.equal(merged.length, 1);
+        assert.equal(merged[0].publishYear, 1892);
+        assert.equal(merged[0].records.length, 2);
+    });
+
+    test('keeps works by authors sharing a surname apart', () => {
+        const merged = api.deduplicateBooks([
+            book('/works/OL1W', 'Poems', 'Edward Thomas', { publishYear: 1917, isPublicDomain: true }),
+            book('/works/OL2W', 'Poems', 'Dylan Thomas', { publishYear: 1971 })
+        ]);
+
+        assert.equal(merged.length, 2);
+        assert.equal(merged[1].isPublicDomain, undefined);
+    });
+
+    test('does not pass facts between records of differently named authors', () => {
+        const [merged] = api.deduplicateBooks([
+            book('/works/OL1W', 'Poems', 'Thomas, Edward'),
+            book('/works/OL2W', 'Poems', 'E. Thomas', {
+                reliability: 'low',
+                publishYear: 1917,
+                isPublicDomain: true,
+                authors: [{ name: 'E. Thomas', birthYear: 1878, deathYear: 1917 }]
+            })
+        ]);
+
+        assert.equal(merged.publishYear, undefined);
+        assert.equal(merged.isPublicDomain, undefined);
+        assert.equal(merged.authors[0].deathYear, null);
+        assert.equal(merged.authors[0].birthYear, null);
+    });
+});
+
+describe('BookAPI.reviewYears', () => {
+    const api = createAPI();
+    const gutenberg = book('gutenberg_1', 'Typee', 'Melville, Herman', {
+        source: 'gutenberg',
+        authors: [{ name: 'Melville, Herman', birthYear: 1819, deathYear: 1891 }]
+    });
+    const early = book('/works/OL1W', 'Omoo', 'Herman Melville', {
+        publishYear: 1790,
+        provenance: { publishYear: 'openlibrary:first_publish_year' }
+    });
+
+    test('checks years against life dates from other records in the result set', () => {
+        const [, reviewed] = api.reviewYears([gutenberg, early]);
+
+        assert.equal(reviewed.publishYear, null);
+        assert.equal(reviewed.yearRejections[0].year, 1790);
+        assert.equal(reviewed.yearRejections[0].lifespanSource, 'gutenberg');
+    });
+
+    test('does not depend on the order of the records or earlier searches', () => {
+        assert.equal(api.reviewYears([early, gutenberg])[0].publishYear, null);
+        assert.equal(api.reviewYears([early])[0].publishYear, 1790);
+    });
+
+    test('flags, but keeps, a year long after the author died', () => {
+        const late = book('/works/OL3W', 'Poems', 'Herman Melville', {
+            publishYear: 1947,
+            authors: [{ name: 'Herman Melville', birthYear: 1819, deathYear: 1891 }]
+        });
+        const [reviewed] = api.reviewYears([late]);
+
+        assert.equal(reviewed.publishYear, 1947);
+        assert.equal(reviewed.yearWarnings[0].year, 1947);
+    });
+});
@@ -0,0 +1,34 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BatchChecker } from '../scripts/batch.js';
+import { stubFetch } from './support/fetch-stub.js';
+
+describe('BatchChecker rows', () => {
+    test('keeps the year from the list apart from the match', async () => {
+        const fetchStub = stubFetch({
+            'https://gutendex.com/books/': { count: 0, results: [] },
+            'https://openlibrary.org/search.json': {
+                docs: [{ key: '/works/OL9W', title: 'An Undated Pamphlet', author_name: ['Some Writer'] }]
+            }
+        });
+        const checker = new BatchChecker();
+        const assessedYears = [];
+        checker.analyze = book => {
+            assessedYears.push(book.publishYear);
+            return { status: 'Public Domain' };
+        };
+
+        try {
+            const entry = await checker.checkRow({ title: 'An Undated Pamphlet', author: 'Some Writer', year: 1900 }, null);
+
+            assert.deepEqual(assessedYears, [1900]);
+            assert.equal(entry.match.publishYear, null);
+            assert.equal(entry.statusFromInputYear, true);
+
+            checker.report = [entry];
+            assert.match(checker.toCsv().split('\n')[1], /,1900,An Undated Pamphlet,Some Writer,,openlibrary,/);
+        } finally {
+            fetchStub.restore();
+        }
+    });
+});
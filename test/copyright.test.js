@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { CopyrightTermCalculator } from '../scripts/copyright.js';
+
+const evaluationDate = new Date('2026-06-01T00:00:00Z');
+const calculator = new CopyrightTermCalculator();
+
+describe('CopyrightTermCalculator term table', () => {
+    const cases = [
+        // Published before 1978
+        ['published 1930', { publishYear: 1930 }, 'public_domain', 2025, 'us-pre1978-95-year'],
+        ['published 1950, renewal unknown', { publishYear: 1950 }, 'renewal_required', 2045, 'us-1909-renewal-required'],
+        ['published 1950, not renewed', { publishYear: 1950, renewed: false }, 'public_domain', 1978, 'us-1909-not-renewed'],
+        ['published 1950, renewed', { publishYear: 1950, renewed: true }, 'copyrighted', 2045, 'us-1909-renewed'],
+        ['published 1970', { publishYear: 1970 }, 'copyrighted', 2065, 'us-automatic-renewal'],
+        // Life plus 70
+        ['author died 1995', { publishYear: 1990, authorDeathYears: [1995] }, 'copyrighted', 2065, 'us-life-plus-70'],
+        ['joint authors', { publishYear: 1990, authorDeathYears: [1980, 2000] }, 'copyrighted', 2070, 'us-life-plus-70'],
+        ['joint authors, one death unknown', { publishYear: 1990, authorDeathYears: [1980, null] }, 'likely_copyrighted', null, 'us-life-plus-70-unknown-death'],
+        // Works made for hire, anonymous and pseudonymous works
+        ['made for hire', { publishYear: 1990, authorshipType: 'work_for_hire' }, 'copyrighted', 2085, 'us-corporate-95-120'],
+        ['anonymous, created long before publication', { publishYear: 1990, creationYear: 1960, authorshipType: 'anonymous' }, 'copyrighted', 2080, 'us-corporate-95-120'],
+        // Created before 1978, first published later
+        ['published 1990, author died 1950', { publishYear: 1990, authorDeathYears: [1950] }, 'copyrighted', 2047, 'us-posthumous-2047'],
+        ['published 2002, author died 1900', { publishYear: 2002, authorDeathYears: [1900] }, 'copyrighted', 2047, 'us-posthumous-2047'],
+        ['published 2005, author died 1900', { publishYear: 2005, authorDeathYears: [1900] }, 'public_domain', 2002, 'us-unpublished-2002'],
+        ['published 2005, author died 1960', { publishYear: 2005, authorDeathYears: [1960] }, 'copyrighted', 2030, 'us-life-plus-70'],
+        ['publication year unknown', {}, 'unknown', null, 'us-unknown-publication']
+    ];
+
+    cases.forEach(([description, facts, status, expiryYear, ruleId]) => {
+        test(`${description}: ${status} through ${expiryYear}`, () => {
+            const result = calculator.calculate({ ...facts, evaluationDate });
+
+            assert.equal(result.status, status);
+            assert.equal(result.expiryYear, expiryYear);
+            assert.equal(result.rule.id, ruleId);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { JurisdictionRules } from '../scripts/jurisdictions.js';
+
+const evaluationDate = new Date('2026-06-01T00:00:00Z');
+const rules = new JurisdictionRules();
+
+function book(deathYears, extra = {}) {
+    return {
+        title: 'Example',
+        authors: deathYears.map((deathYear, index) => ({ name: `Author ${index + 1}`, deathYear })),
+        publishYear: 1930,
+        ...extra
+    };
+}
+
+describe('JurisdictionRules term table', () => {
+    const cases = [
+        // Extensions that do not revive works by authors who died earlier
+        ['CA', 'author died 1960', book([1960]), 'public_domain', 2010, 'ca-life-plus-50'],
+        ['CA', 'author died 1971', book([1971]), 'public_domain', 2021, 'ca-life-plus-50'],
+        ['CA', 'author died 1972', book([1972]), 'copyrighted', 2042, 'ca-life-plus-70'],
+        ['AU', 'author died 1954', book([1954]), 'public_domain', 2004, 'au-life-plus-50'],
+        ['AU', 'author died 1955', book([1955]), 'public_domain', 2025, 'au-life-plus-70'],
+        ['AU', 'author died 1960', book([1960]), 'copyrighted', 2030, 'au-life-plus-70'],
+        // Life plus 70 and 50
+        ['EU', 'author died 1960', book([1960]), 'copyrighted', 2030, 'eu-life-plus-70'],
+        ['UK', 'joint authors', book([1940, 1960]), 'copyrighted', 2030, 'uk-life-plus-70'],
+        ['LIFE50', 'author died 1960', book([1960]), 'public_domain', 2010, 'life50-life-plus-50'],
+        ['EU', 'author death unknown', book([null]), 'unknown', null, 'eu-unknown-death'],
+        // Rule of the shorter term
+        ['EU', 'first published in a life+50 country', book([1960], { countryOfOrigin: 'LIFE50' }), 'public_domain', 2010, 'shorter-term'],
+        ['UK', 'first published in Canada', book([1960], { countryOfOrigin: 'CA' }), 'public_domain', 2010, 'shorter-term'],
+        ['UK', 'first published in the UK', book([1960], { countryOfOrigin: 'UK' }), 'copyrighted', 2030, 'uk-life-plus-70'],
+        ['EU', 'first published in Australia, still protected there', book([1960], { countryOfOrigin: 'AU' }), 'copyrighted', 2030, 'eu-life-plus-70']
+    ];
+
+    cases.forEach(([code, description, entry, status, expiryYear, ruleId]) => {
+        test(`${code}, ${description}: ${status} through ${expiryYear}`, () => {
+            const result = rules.evaluate(code, entry, evaluationDate);
+
+            assert.equal(result.jurisdiction, code);
+            assert.equal(result.status, status);
+            assert.equal(result.expiryYear, expiryYear);
+            assert.equal(result.rule.id, ruleId);
+        });
+    });
+});
+
+describe('JurisdictionRules', () => {
+    test('notes the shorter term when the country of origin is unknown', () => {
+        assert.match(rules.evaluate('EU', book([1960]), evaluationDate).note, /rule of the shorter term/);
+        assert.equal(rules.evaluate('CA', book([1960]), evaluationDate).note, undefined);
+    });
+
+    test('uses the US term engine for the US', () => {
+        const result = rules.evaluate('US', book([1960], { publishYear: 1930 }), evaluationDate);
+
+        assert.equal(result.status, 'public_domain');
+        assert.equal(result.rule.id, 'us-pre1978-95-year');
+    });
+
+    test('rejects unknown jurisdictions', () => {
+        assert.throws(() => rules.evaluate('XX', book([1960]), evaluationDate), /Unknown jurisdiction: XX/);
+    });
+});
@@ -0,0 +1,87 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { relevanceRanker } from '../scripts/ranking.js';
+
+function book(id, title, ...authorNames) {
+    return {
+        id,
+        title,
+        authors: authorNames.map(name => ({ name })),
+        source: 'openlibrary',
+        reliability: 'high'
+    };
+}
+
+// Candidates include near misses for each query: shared words, shared authors and sequels
+const books = [
+    book('austen-pride', 'Pride and Prejudice', 'Austen, Jane'),
+    book('zombies', 'Pride and Prejudice and Zombies', 'Seth Grahame-Smith', 'Jane Austen'),
+    book('austen-emma', 'Emma', 'Austen, Jane'),
+    book('hugo-miserables', 'Les Misérables', 'Hugo, Victor'),
+    book('musical', 'Les Miserables: Piano Selections', 'Claude-Michel Schönberg'),
+    book('bronte-eyre', 'Jane Eyre: An Autobiography', 'Brontë, Charlotte'),
+    book('bronte-heights', 'Wuthering Heights', 'Brontë, Emily'),
+    book('dumas-cristo', 'Le Comte de Monte-Cristo', 'Dumas, Alexandre'),
+    book('melville-moby', 'Moby Dick; Or, The Whale', 'Melville, Herman'),
+    book('shelley-frankenstein', 'Frankenstein; Or, The Modern Prometheus', 'Shelley, Mary Wollstonecraft'),
+    book('doyle-holmes', 'The Adventures of Sherlock Holmes', 'Doyle, Arthur Conan'),
+    book('zukofsky-a', 'A', 'Zukofsky, Louis'),
+    book('dickens-tale', 'A Tale of Two Cities', 'Dickens, Charles'),
+    book('the-end', 'The End', 'Snicket, Lemony')
+];
+
+describe('RelevanceRanker query table', () => {
+    const cases = [
+        // Typos
+        ['Pride and Prejduice', 'austen-pride'],
+        ['frankenstien', 'shelley-frankenstein'],
+        ['sherlok holmes', 'doyle-holmes'],
+        // Diacritics folded in either direction
+        ['Les Misérables', 'hugo-miserables'],
+        ['les miserables hugo', 'hugo-miserables'],
+        ['Bronte Wuthering', 'bronte-heights'],
+        ['comte de monte cristo', 'dumas-cristo'],
+        // Author only
+        ['Melville', 'melville-moby'],
+        ['Arthur Conan Doyle', 'doyle-holmes'],
+        ['Charlotte Brontë', 'bronte-eyre'],
+        // Title and author together
+        ['pride prejudice austen', 'austen-pride'],
+        ['emma austen', 'austen-emma'],
+        // Type-ahead prefixes
+        ['moby di', 'melville-moby'],
+        // Stop words are ignored next to other words, and matched when there is nothing else
+        ['the end', 'the-end'],
+        ['A', 'zukofsky-a'],
+        ['"a"', 'zukofsky-a']
+    ];
+
+    cases.forEach(([query, expectedId]) => {
+        test(`"${query}" ranks ${expectedId} first`, () => {
+            const [top] = relevanceRanker.rank(books, query);
+            assert.equal(top.id, expectedId);
+        });
+    });
+});
+
+describe('RelevanceRanker', () => {
+    test('folds case, diacritics and punctuation', () => {
+        assert.equal(relevanceRanker.fold('Les Misérables: Tome I'), 'les miserables tome i');
+        assert.equal(relevanceRanker.fold("Gulliver's Travels"), 'gullivers travels');
+    });
+
+    test('keeps stop words when a query has nothing else', () => {
+        assert.deepEqual(relevanceRanker.tokenize('The Way of the World'), ['way', 'world']);
+        assert.deepEqual(relevanceRanker.tokenize('The End'), ['end']);
+        assert.deepEqual(relevanceRanker.tokenize('of the'), ['of', 'the']);
+    });
+
+    test('ranks more reliable records first when the text matches equally', () => {
+        const ranked = relevanceRanker.rank([
+            { ...books[0], id: 'low', reliability: 'low' },
+            { ...books[0], id: 'high' }
+        ], 'Pride and Prejudice');
+
+        assert.deepEqual(ranked.map(entry => entry.id), ['high', 'low']);
+    });
+});
@@ -0,0 +1,127 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { BookSearch } from '../scripts/search.js';
+import { stubFetch } from './support/fetch-stub.js';
+
+const books = [
+    { id: 'gutenberg_2701', title: 'Moby Dick; Or, The Whale', authors: [{ name: 'Melville, Herman' }], publishYear: null, inferredPublishYear: 1891 },
+    { id: '/works/OL102749W', title: 'Moby Dick <abridged>', authors: [{ name: 'Herman Melville' }], publishYear: 1851 },
+    { id: '/works/OL5735363W', title: 'Moby-Dick: A Pop-up Book', authors: [{ name: 'Sam Ita' }], publishYear: 2007 }
+];
+
+describe('BookSearch suggestions', () => {
+    let dom;
+    let search;
+    let selected;
+
+    beforeEach(() => {
+        dom = new JSDOM(`
+            <input id="book-search">
+            <div id="search-suggestions" class="hidden"></div>
+        `);
+        globalThis.window = dom.window;
+        globalThis.document = dom.window.document;
+
+        search = new BookSearch();
+        search.init();
+        selected = [];
+        search.setBookSelectedCallback(book => selected.push(book));
+    });
+
+    afterEach(() => {
+        search.cancelSearch();
+        delete globalThis.window;
+        delete globalThis.document;
+    });
+
+    function press(key) {
+        search.searchInput.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, cancelable: true }));
+    }
+
+    function items() {
+        return [...document.querySelectorAll('#search-suggestions .suggestion-item')];
+    }
+
+    test('renders each book with its author and year, escaping the text', () => {
+        search.searchInput.value = 'moby dick';
+        search.displaySuggestions(books);
+
+        assert.equal(items().length, 3);
+        assert.equal(items()[0].querySelector('.suggestion-year').textContent, 'est. by 1891');
+        assert.equal(items()[1].querySelector('.suggestion-title').textContent, 'Moby Dick <abridged>');
+        assert.equal(items()[1].querySelector('.suggestion-title').children.length, 0);
+        assert.equal(items()[2].querySelector('.suggestion-author').textContent, 'by Sam Ita');
+        assert.equal(document.querySelector('.suggestion-more').getAttribute('href'), '#/results?q=moby+dick');
+        assert.equal(search.suggestionsContainer.classList.contains('hidden'), false);
+    });
+
+    test('shows a notice and a placeholder when nothing matches', () => {
+        search.displaySuggestions([], 'Open Library unavailable. Results may be incomplete.');
+
+        assert.equal(document.querySelector('.suggestion-notice').textContent, 'Open Library unavailable. Results may be incomplete.');
+        assert.equal(items()[0].querySelector('.suggestion-title').textContent, 'No books found');
+    });
+
+    test('moves the highlight with the arrow keys, stopping at either end', () => {
+        search.displaySuggestions(books);
+        const highlighted = () => items().findIndex(item => item.classList.contains('selected'));
+
+        press('ArrowDown');
+        press('ArrowDown');
+        assert.equal(highlighted(), 1);
+
+        press('ArrowDown');
+        press('ArrowDown');
+        assert.equal(highlighted(), 2);
+
+        press('ArrowUp');
+        press('ArrowUp');
+        press('ArrowUp');
+        assert.equal(highlighted(), -1);
+        assert.equal(search.selectedIndex, -1);
+    });
+
+    test('selects the highlighted book with Enter', () => {
+        search.displaySuggestions(books);
+
+        press('Enter');
+        assert.deepEqual(selected, []);
+
+        press('ArrowDown');
+        press('ArrowDown');
+        press('Enter');
+
+        assert.deepEqual(selected.map(book => book.id), ['/works/OL102749W']);
+        assert.equal(search.searchInput.value, 'Moby Dick <abridged>');
+        assert.equal(search.suggestionsContainer.classList.contains('hidden'), true);
+    });
+
+    test('closes the suggestions with Escape', () => {
+        search.displaySuggestions(books);
+        press('ArrowDown');
+        press('Escape');
+
+        assert.equal(search.suggestionsContainer.classList.contains('hidden'), true);
+        assert.equal(search.selectedIndex, -1);
+    });
+
+    test('renders ranked results from the sources', async () => {
+        const fetchStub = stubFetch({
+            'https://gutendex.com/books/?search=moby+dick': 'gutendex-moby-dick.json',
+            'https://openlibrary.org/search.json?q=moby+dick': 'openlibrary-moby-dick.json'
+        });
+
+        try {
+            search.searchInput.value = 'moby dick';
+            await search.performSearch('moby dick');
+        } finally {
+            fetchStub.restore();
+        }
+
+        const titles = items().map(item => item.querySelector('.suggestion-title').textContent);
+        assert.equal(titles[0], 'Moby Dick; Or, The Whale');
+        assert.ok(titles.includes('Moby-Dick: A Pop-up Book'));
+        assert.equal(document.querySelector('.suggestion-notice'), null);
+    });
+});
@@ -0,0 +1,34 @@
+import fs from 'fs';
+
+// Read a recorded API response from test/fixtures
+export function readFixture(name) {
+    return JSON.parse(fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+// Replace global fetch with one that answers from fixtures. routes maps a URL prefix to a
+// fixture file name or a response body; unmatched URLs get an empty 404. Returns the list of
+// requested URLs and a restore() that puts the real fetch back.
+export function stubFetch(routes) {
+    const realFetch = globalThis.fetch;
+    const requests = [];
+
+    globalThis.fetch = async (url) => {
+        url = String(url);
+        requests.push(url);
+
+        const match = Object.keys(routes).find(prefix => url.startsWith(prefix));
+        if (!match) {
+            return new Response('{}', { status: 404, headers: { 'Content-Type': 'application/json' } });
+        }
+
+        const body = typeof routes[match] === 'string' ? readFixture(routes[match]) : routes[match];
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    return {
+        requests,
+        restore() {
+            globalThis.fetch = realFetch;
+        }
+    };
+}
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { verdictEngine } from '../scripts/verdict.js';
+import { HathiTrustSource } from '../scripts/sources.js';
+import { RenewalRecords } from '../scripts/renewals.js';
+
+const evaluationDate = new Date('2026-06-01T00:00:00Z');
+
+function book({ publishYear = null, deathYear = null, ...extra } = {}) {
+    return {
+        id: '/works/OL1W',
+        title: 'Example',
+        authors: [{ name: 'Example Author', birthYear: null, deathYear }],
+        publishYear,
+        provenance: {},
+        source: 'openlibrary',
+        reliability: 'high',
+        ...extra
+    };
+}
+
+function status(entry) {
+    return verdictEngine.analyze(entry, { evaluationDate }).status;
+}
+
+describe('US status bands', () => {
+    const bands = [
+        ['published 95 years before the evaluation year', { publishYear: 1930 }, 'Public Domain'],
+        ['published 1931-1963 with renewal unknown', { publishYear: 1931 }, 'Possibly Copyrighted'],
+        ['published 1931-1963 and not renewed', { publishYear: 1950, renewed: false }, 'Public Domain'],
+        ['published 1931-1963 and renewed', { publishYear: 1950, renewed: true }, 'Copyrighted'],
+        ['published 1964-1977', { publishYear: 1970 }, 'Copyrighted'],
+        ['published from 1978, author died recently', { publishYear: 1990, deathYear: 1995 }, 'Copyrighted'],
+        ['published from 1978, author death unknown', { publishYear: 1990 }, 'Likely Copyrighted'],
+        ['publication year unknown', {}, 'Unknown'],
+        ['listed by Project Gutenberg', { source: 'gutenberg', isPublicDomain: true }, 'Public Domain']
+    ];
+
+    bands.forEach(([description, facts, expected]) => {
+        test(`${description}: ${expected}`, () => {
+            assert.equal(status(book(facts)), expected);
+        });
+    });
+});
+
+describe('HathiTrust rights codes', () => {
+    const hathiTrust = new HathiTrustSource();
+    const volume = (year, rightsCode, htid) => ({
+        record: { publishDates: [String(year)], recordURL: `https://catalog.hathitrust.org/Record/${htid}` },
+        items: [{ rightsCode, htid, itemURL: `https://hdl.handle.net/2027/${htid}` }]
+    });
+
+    test('a copyright code on a volume of the first publication decides', () => {
+        const rights = hathiTrust.determineRights([volume(2001, 'ic', 'mdp.1')]);
+        const verdict = verdictEngine.analyze(book({ publishYear: 2002, rights }), { evaluationDate });
+
+        assert.equal(verdict.status, 'Copyrighted');
+        assert.equal(verdict.trace.rules.find(rule => rule.id === 'hathitrust-rights').outcome, 'applied');
+    });
+
+    test('a copyright code on a later reprint does not override the work', () => {
+        const rights = hathiTrust.determineRights([volume(2003, 'ic', 'mdp.2')]);
+        const verdict = verdictEngine.analyze(book({ publishYear: 1851, deathYear: 1891, rights }), { evaluationDate });
+
+        assert.equal(verdict.status, 'Public Domain');
+        assert.equal(verdict.trace.rules.find(rule => rule.id === 'hathitrust-rights').outcome, 'not_applicable');
+    });
+
+    test('a public domain code on any volume wins', () => {
+        const rights = hathiTrust.determineRights([volume(1851, 'ic', 'mdp.3'), volume(1930, 'pd', 'mdp.4')]);
+
+        assert.equal(rights.status, 'public_domain');
+        assert.equal(rights.htid, 'mdp.4');
+        assert.equal(status(book({ publishYear: 1851, rights })), 'Public Domain');
+    });
+});
+
+describe('Renewal datasets', () => {
+    const records = [{ id: 'R1', title: 'Some Renewed Novel', author: 'Someone Else', publishYear: 1950, renewalYear: 1977 }];
+
+    test('a dataset must state the years it covers', () => {
+        assert.throws(() => new RenewalRecords().loadDataset({ records }), /coverage/);
+    });
+
+    test('a book missing from a covering dataset was not renewed', () => {
+        const renewals = new RenewalRecords();
+        renewals.loadDataset({ coverage: { from: 1929, to: 1963 }, records });
+
+        assert.equal(renewals.lookup(book({ publishYear: 1950 })).status, 'no_renewal_found');
+        assert.equal(renewals.lookup(book({ publishYear: 1970 })).reason, 'not_covered');
+    });
+});
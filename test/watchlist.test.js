@@ -0,0 +1,75 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { Watchlist } from '../scripts/watchlist.js';
+
+const entry = {
+    book: { id: '/works/OL1W', title: 'Example', authors: [{ name: 'Example Author', birthYear: 1900, deathYear: 1960 }] },
+    status: 'Copyrighted',
+    expiryYear: 2030,
+    publicDomainYear: 2031
+};
+
+describe('Watchlist import', () => {
+    let dom;
+    let watchlist;
+
+    beforeEach(() => {
+        dom = new JSDOM('<div id="watchlist-entries"></div>', { url: 'https://example.org/' });
+        globalThis.window = dom.window;
+        globalThis.document = dom.window.document;
+        globalThis.localStorage = dom.window.localStorage;
+
+        watchlist = new Watchlist();
+        watchlist.container = document.getElementById('watchlist-entries');
+    });
+
+    afterEach(() => {
+        delete globalThis.window;
+        delete globalThis.document;
+        delete globalThis.localStorage;
+    });
+
+    test('rejects entries missing the fields the watchlist shows', () => {
+        assert.throws(() => watchlist.importJson(JSON.stringify([{ book: { id: 'x' } }])), /entry 1/);
+        assert.throws(() => watchlist.importJson(JSON.stringify([entry, { ...entry, status: 3 }])), /entry 2/);
+        assert.deepEqual(watchlist.entries, []);
+    });
+
+    test('drops values that are not of the expected type', () => {
+        watchlist.importJson(JSON.stringify({
+            entries: [{
+                ...entry,
+                book: {
+                    ...entry.book,
+                    authors: [{ name: 'Example Author', birthYear: '<img src=x onerror=alert(1)>', deathYear: 1960 }],
+                    coverImage: 'javascript:alert(1)',
+                    freeEditions: [
+                        { label: 'EPUB', url: 'javascript:alert(1)' },
+                        { label: 'HTML', url: 'https://www.gutenberg.org/ebooks/1.html.images', source: 'gutenberg' }
+                    ],
+                    countryOfOrigin: '<b>US</b>',
+                    rights: { status: 'public_domain' }
+                }
+            }]
+        }));
+
+        const [{ book }] = watchlist.entries;
+        assert.equal(book.authors[0].birthYear, null);
+        assert.equal(book.authors[0].deathYear, 1960);
+        assert.equal(book.coverImage, null);
+        assert.deepEqual(book.freeEditions.map(edition => edition.label), ['HTML']);
+        assert.equal(book.countryOfOrigin, null);
+        assert.equal(book.rights, undefined);
+    });
+
+    test('keeps quotes in ids inside their attribute', () => {
+        const id = 'x" autofocus onfocus="alert(1)';
+        watchlist.importJson(JSON.stringify([{ ...entry, book: { ...entry.book, id } }]));
+        watchlist.render();
+
+        const link = document.querySelector('.watchlist-open');
+        assert.equal(link.dataset.id, id);
+        assert.equal(link.hasAttribute('onfocus'), false);
+    });
+});
@@ -0,0 +1,107 @@
+// Convert the Project Gutenberg CSV catalog into the snapshot searched offline.
+// Download https://www.gutenberg.org/cache/epub/feeds/pg_catalog.csv, then run:
+//   node tools/build-catalog.js pg_catalog.csv data/gutenberg-catalog.json
+import fs from 'fs';
+
+// Parse CSV text into rows, honouring quoted fields that contain commas, quotes or newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(current);
+            current = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(current);
+            rows.push(row);
+            row = [];
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (current || row.length > 0) {
+        row.push(current);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function splitList(value) {
+    return (value || '').split(';').map(item => item.trim()).filter(Boolean);
+}
+
+// Contributors tagged with another role, such as "[Illustrator]" or "[Translator]", are skipped
+function isAuthor(value) {
+    const role = value.match(/\[([^\]]*)\]/);
+    return !role || role[1].trim().toLowerCase() === 'author';
+}
+
+// "Twain, Mark, 1835-1910" -> { name: 'Twain, Mark', birthYear: 1835, deathYear: 1910 }
+function parseAuthor(value) {
+    const withoutRole = value.replace(/\[[^\]]*\]/g, '').trim();
+    const match = withoutRole.match(/^(.*?),\s*(?:(\d{1,4})\??)?\s*-\s*(?:(\d{1,4})\??)?$/);
+
+    if (!match) {
+        return { name: withoutRole, birthYear: null, deathYear: null };
+    }
+
+    return {
+        name: match[1].trim(),
+        birthYear: match[2] ? parseInt(match[2], 10) : null,
+        deathYear: match[3] ? parseInt(match[3], 10) : null
+    };
+}
+
+function buildCatalog(csvText) {
+    const [header, ...rows] = parseCsv(csvText);
+    const column = name => header.indexOf(name);
+
+    const books = rows
+        .filter(row => row[column('Type')] === 'Text')
+        .map(row => ({
+            id: parseInt(row[column('Text#')], 10),
+            title: (row[column('Title')] || '').replace(/\s+/g, ' ').trim(),
+            authors: splitList(row[column('Authors')]).filter(isAuthor).map(parseAuthor),
+            languages: splitList(row[column('Language')]),
+            subjects: splitList(row[column('Subjects')]),
+            bookshelves: splitList(row[column('Bookshelves')])
+        }))
+        .filter(book => Number.isInteger(book.id) && book.title);
+
+    return {
+        source: 'Project Gutenberg catalog (pg_catalog.csv)',
+        generatedAt: new Date().toISOString(),
+        books
+    };
+}
+
+const [input, output = 'data/gutenberg-catalog.json'] = process.argv.slice(2);
+
+if (!input) {
+    console.error('Usage: node tools/build-catalog.js <pg_catalog.csv> [output.json]');
+    process.exit(1);
+}
+
+const catalog = buildCatalog(fs.readFileSync(input, 'utf8'));
+fs.writeFileSync(output, JSON.stringify(catalog));
+console.log(`Wrote ${catalog.books.length} books to ${output}`);